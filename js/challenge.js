@@ -0,0 +1,72 @@
+/**
+ * RECOUPLE v2 — Challenge Links
+ * ==============================
+ * A challenge is a draft anyone can replay from a URL:
+ *   ?challenge=<seed>&layout=<id>&profile=<id>&pool=<tag>&rules=<YYYY-MM-DD>
+ * The seed picks the rounds, profile the scoring, pool narrows the
+ * contestants to one tag, and rules is the date whose rotating slot tags
+ * apply. Everything but the seed is optional.
+ */
+
+const Challenge = (() => {
+
+  const MAX_SEED = 0xFFFFFFFF;
+
+  function randomSeed() {
+    return Math.floor(Math.random() * (MAX_SEED + 1));
+  }
+
+  function isSeed(n) {
+    return Number.isInteger(n) && n >= 0 && n <= MAX_SEED;
+  }
+
+  // Contestants a pool filter leaves in the draft
+  function filterPool(contestants, pool) {
+    return pool ? contestants.filter(c => c.tags.includes(pool)) : contestants;
+  }
+
+  // A pool has to fill three options for every round of the board
+  function poolIsPlayable(contestants, pool, numSlots) {
+    return filterPool(contestants, pool).length >= 3 * numSlots;
+  }
+
+  /**
+   * Read a challenge from a query string. Returns null when there is none;
+   * bad optional values are dropped rather than failing the whole link.
+   */
+  function parse(search) {
+    const params = new URLSearchParams(search || '');
+    if (!params.has('challenge')) return null;
+    // Digits only: Number() would read '' or ' ' as seed 0
+    const raw = params.get('challenge');
+    if (!/^\d+$/.test(raw)) return null;
+    const seed = Number(raw);
+    if (!isSeed(seed)) return null;
+
+    const layout = params.get('layout');
+    const profile = params.get('profile');
+    const pool = params.get('pool');
+    const rules = params.get('rules');
+    return {
+      seed,
+      layout: layout && /^[a-z0-9_-]+$/i.test(layout) ? layout : null,
+      profile: profile && Scoring.getProfiles().some(p => p.id === profile) ? profile : null,
+      pool: pool && Scoring.TAG_INFO[pool] ? pool : null,
+      rules: rules && /^\d{4}-\d{2}-\d{2}$/.test(rules) ? rules : null
+    };
+  }
+
+  function build(challenge, base) {
+    const params = new URLSearchParams({ challenge: String(challenge.seed) });
+    if (challenge.layout) params.set('layout', challenge.layout);
+    if (challenge.profile) params.set('profile', challenge.profile);
+    if (challenge.pool) params.set('pool', challenge.pool);
+    if (challenge.rules) params.set('rules', challenge.rules);
+    return `${base}?${params}`;
+  }
+
+  return { randomSeed, isSeed, filterPool, poolIsPlayable, parse, build };
+
+})();
+
+if (typeof module !== 'undefined' && module.exports) module.exports = Challenge;
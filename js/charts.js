@@ -0,0 +1,104 @@
+/**
+ * RECOUPLE v2 — Charts
+ * =====================
+ * Tiny inline-SVG chart builders for the stats dashboard. Each returns an
+ * SVG string sized by its viewBox, so it scales to the width of its box.
+ */
+
+const Charts = (() => {
+
+  const W = 300;
+  const PAD = 14;
+
+  function fmt(n) { return Math.round(n * 10) / 10; }
+
+  /**
+   * Vertical bars: data = [{ label, value }]
+   */
+  function barChart(data, { color = '#ff6b9d', height = 110 } = {}) {
+    if (!data.length) return '';
+    const max = Math.max(1, ...data.map(d => d.value));
+    const plotH = height - 2 * PAD - 4;
+    const slot = (W - 2 * PAD) / data.length;
+    const barW = Math.max(4, slot * 0.7);
+
+    const bars = data.map((d, i) => {
+      const h = d.value / max * plotH;
+      const x = PAD + i * slot + (slot - barW) / 2;
+      const y = PAD + plotH - h;
+      return `
+        <rect x="${fmt(x)}" y="${fmt(y)}" width="${fmt(barW)}" height="${fmt(h)}" rx="2" fill="${color}" />
+        ${d.value ? `<text x="${fmt(x + barW / 2)}" y="${fmt(y - 3)}" class="chart-value">${d.value}</text>` : ''}
+        <text x="${fmt(x + barW / 2)}" y="${height - 4}" class="chart-label">${d.label}</text>`;
+    }).join('');
+
+    return `<svg class="chart" viewBox="0 0 ${W} ${height}" width="100%" role="img">
+      <line x1="${PAD}" y1="${PAD + plotH}" x2="${W - PAD}" y2="${PAD + plotH}" class="chart-axis" />
+      ${bars}
+    </svg>`;
+  }
+
+  /**
+   * Lines over a shared x axis: labels = [..], series = [{ values: [..], color, dashed }]
+   */
+  function lineChart(labels, series, { height = 120 } = {}) {
+    if (!labels.length) return '';
+    const all = series.flatMap(s => s.values);
+    let lo = Math.min(...all), hi = Math.max(...all);
+    if (hi === lo) { lo -= 1; hi += 1; }
+    const plotH = height - 2 * PAD - 6;
+    const left = PAD + 16;
+    const step = labels.length > 1 ? (W - left - PAD) / (labels.length - 1) : 0;
+    const xAt = (i) => labels.length > 1 ? left + i * step : (left + W - PAD) / 2;
+    const yAt = (v) => PAD + (hi - v) / (hi - lo) * plotH;
+
+    const lines = series.map(s => {
+      const pts = s.values.map((v, i) => `${fmt(xAt(i))},${fmt(yAt(v))}`).join(' ');
+      const dots = s.values.length <= 30
+        ? s.values.map((v, i) => `<circle cx="${fmt(xAt(i))}" cy="${fmt(yAt(v))}" r="2" fill="${s.color}" />`).join('')
+        : '';
+      return `<polyline points="${pts}" fill="none" stroke="${s.color}" stroke-width="2"${s.dashed ? ' stroke-dasharray="4 3"' : ''} />${dots}`;
+    }).join('');
+
+    return `<svg class="chart" viewBox="0 0 ${W} ${height}" width="100%" role="img">
+      <text x="${left - 4}" y="${fmt(yAt(hi) + 3)}" class="chart-label chart-label-end">${fmt(hi)}</text>
+      <text x="${left - 4}" y="${fmt(yAt(lo) + 3)}" class="chart-label chart-label-end">${fmt(lo)}</text>
+      <line x1="${left}" y1="${fmt(yAt(lo))}" x2="${W - PAD}" y2="${fmt(yAt(lo))}" class="chart-axis" />
+      ${lines}
+      <text x="${left}" y="${height - 4}" class="chart-label chart-label-start">${labels[0]}</text>
+      ${labels.length > 1 ? `<text x="${W - PAD}" y="${height - 4}" class="chart-label chart-label-end">${labels[labels.length - 1]}</text>` : ''}
+    </svg>`;
+  }
+
+  /**
+   * One horizontal bar split into parts: parts = [{ label, value, color }]
+   */
+  // A part below zero (a penalty outweighing its points) gets no segment;
+  // its legend entry still shows the value, marked as not drawn
+  function stackedBar(parts, { height = 44 } = {}) {
+    const total = parts.reduce((s, p) => s + Math.max(0, p.value), 0);
+    if (!total && !parts.some(p => p.value < 0)) return '';
+    let x = PAD;
+    const width = W - 2 * PAD;
+    const segments = parts.map(p => {
+      const w = total ? Math.max(0, p.value) / total * width : 0;
+      const seg = `<rect x="${fmt(x)}" y="4" width="${fmt(w)}" height="14" fill="${p.color}" />`;
+      x += w;
+      return seg;
+    }).join('');
+    const legendStep = width / parts.length;
+    const legend = parts.map((p, i) => `
+      <circle cx="${fmt(PAD + i * legendStep + 4)}" cy="${height - 10}" r="4" fill="${p.color}" />
+      <text x="${fmt(PAD + i * legendStep + 11)}" y="${height - 6}" class="chart-label chart-label-start">${p.label} ${fmt(p.value)}${p.value < 0 ? ' (not drawn)' : ''}</text>`).join('');
+
+    return `<svg class="chart" viewBox="0 0 ${W} ${height}" width="100%" role="img">
+      ${segments}
+      ${legend}
+    </svg>`;
+  }
+
+  return { barChart, lineChart, stackedBar };
+
+})();
+
+if (typeof module !== 'undefined' && module.exports) module.exports = Charts;
@@ -0,0 +1,126 @@
+/**
+ * RECOUPLE v2 — Contestant Data Checks
+ * =====================================
+ * data/contestants.json is edited by hand, and mistakes in it fail quietly:
+ * a mistyped partner id loses a couple bonus, an unknown tag fits no slot.
+ * validate() catches them. The same checks run in the browser at startup
+ * (UI.init) and from the command line (tools/validate-contestants.js).
+ *
+ * Entry shape:
+ *   { id: 'kebab-case', name, tags: [TAG_INFO keys], season: 'UK S5',
+ *     seasonNum: 5, seasonYear: 2019, show: 'uk',
+ *     partners: [{ id, type: Scoring.PARTNER_TYPES key }], added?: 'YYYY-MM-DD' }
+ */
+
+const Contestants = (() => {
+
+  // Show id → the label its season strings start with
+  const SHOWS = { usa: 'USA', uk: 'UK' };
+  const ID_RE = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+  const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+  function isText(v) { return typeof v === 'string' && v.trim() !== '' && v === v.trim(); }
+
+  // Problems with one entry on its own; fatal ones would break play
+  function checkEntry(c) {
+    const problems = [];
+    const fatal = (message) => problems.push({ message, fatal: true });
+    if (!c || typeof c !== 'object' || Array.isArray(c)) return [{ message: 'not an object', fatal: true }];
+    if (!isText(c.id) || !ID_RE.test(c.id)) fatal(`id ${JSON.stringify(c.id)} isn't lowercase kebab-case`);
+    if (!isText(c.name)) fatal('name is missing or has stray spaces');
+    if (!SHOWS[c.show]) fatal(`unknown show ${JSON.stringify(c.show)}`);
+    if (!Number.isInteger(c.seasonNum) || c.seasonNum < 1) fatal('seasonNum must be a positive integer');
+    if (!Number.isInteger(c.seasonYear) || c.seasonYear < 2000 || c.seasonYear > 2100) problems.push({ message: 'seasonYear must be a year' });
+    if (typeof c.season !== 'string') problems.push({ message: 'season must be a string' });
+    else if (SHOWS[c.show] && Number.isInteger(c.seasonNum) && c.season !== `${SHOWS[c.show]} S${c.seasonNum}`) {
+      problems.push({ message: `season "${c.season}" disagrees with show/seasonNum (expected "${SHOWS[c.show]} S${c.seasonNum}")` });
+    }
+    if (!Array.isArray(c.tags) || !c.tags.every(t => typeof t === 'string')) {
+      fatal('tags must be an array of strings');
+    } else {
+      const unknown = c.tags.filter(t => !Scoring.TAG_INFO[t]);
+      if (unknown.length) problems.push({ message: `unknown tag${unknown.length > 1 ? 's' : ''} ${unknown.join(', ')}` });
+      if (new Set(c.tags).size !== c.tags.length) problems.push({ message: 'repeated tags' });
+      if (SHOWS[c.show] && !c.tags.includes(c.show)) problems.push({ message: `tags lack its show tag "${c.show}"` });
+    }
+    if (!Array.isArray(c.partners)) {
+      problems.push({ message: 'partners must be an array' });
+    } else {
+      c.partners.forEach((p, k) => {
+        if (!p || typeof p !== 'object' || !isText(p.id)) problems.push({ message: `partner ${k + 1} has no id` });
+        else if (!Scoring.PARTNER_TYPES[p.type]) problems.push({ message: `partner "${p.id}" has unknown type ${JSON.stringify(p.type)}` });
+      });
+    }
+    if (c.added !== undefined && !DATE_RE.test(c.added)) problems.push({ message: 'added must be YYYY-MM-DD' });
+    return problems;
+  }
+
+  /**
+   * Check a whole contestant list. Returns { errors, warnings }, each a list
+   * of { index, id, message, fatal }; an index of -1 is about the list
+   * itself. Errors are data the game would get wrong, fatal ones data it
+   * can't play with at all; warnings are merely odd.
+   */
+  function validate(list) {
+    const errors = [], warnings = [];
+    if (!Array.isArray(list)) {
+      errors.push({ index: -1, id: null, message: 'contestant data must be an array', fatal: true });
+      return { errors, warnings };
+    }
+    const err = (index, message, fatal = false) => errors.push({ index, id: list[index]?.id ?? null, message, fatal });
+    const warn = (index, message) => warnings.push({ index, id: list[index]?.id ?? null, message, fatal: false });
+
+    list.forEach((c, i) => checkEntry(c).forEach(p => err(i, p.message, p.fatal)));
+
+    const byId = new Map(), byName = new Map();
+    list.forEach((c, i) => {
+      if (!c || typeof c !== 'object') return;
+      if (byId.has(c.id)) err(i, `duplicate id (also entry ${byId.get(c.id)})`, true);
+      else byId.set(c.id, i);
+      if (byName.has(c.name)) err(i, `duplicate name "${c.name}" (also entry ${byName.get(c.name)})`);
+      else byName.set(c.name, i);
+    });
+
+    // Partners are matched by id, and both halves have to agree on the type
+    list.forEach((c, i) => {
+      if (!c || typeof c !== 'object' || !Array.isArray(c.partners)) return;
+      const seen = new Set();
+      for (const p of c.partners) {
+        if (!p || typeof p !== 'object' || !isText(p.id)) continue;
+        if (seen.has(p.id)) { err(i, `partner "${p.id}" is listed twice`); continue; }
+        seen.add(p.id);
+        if (p.id === c.id) { err(i, 'is coupled with themselves'); continue; }
+        const j = byId.get(p.id);
+        if (j === undefined) { err(i, `partner "${p.id}" isn't a contestant`); continue; }
+        const back = Array.isArray(list[j].partners) ? list[j].partners.find(q => q && q.id === c.id) : null;
+        if (!back) err(i, `partner "${p.id}" doesn't list "${c.id}" back`);
+        else if (back.type !== p.type) err(i, `partner "${p.id}" calls this "${back.type}", not "${p.type}"`);
+      }
+    });
+
+    // One season, one year
+    const years = new Map();
+    list.forEach((c, i) => {
+      if (!c || typeof c !== 'object' || typeof c.season !== 'string') return;
+      const first = years.get(c.season);
+      if (!first) years.set(c.season, { year: c.seasonYear, index: i });
+      else if (first.year !== c.seasonYear) {
+        warn(i, `${c.season} is ${c.seasonYear} here but ${first.year} for entry ${first.index}`);
+      }
+    });
+
+    return { errors, warnings };
+  }
+
+  // The entries without fatal errors, to play on with a partly broken file
+  function usable(list, report) {
+    if (!Array.isArray(list)) return [];
+    const bad = new Set(report.errors.filter(e => e.fatal).map(e => e.index));
+    return list.filter((_, i) => !bad.has(i));
+  }
+
+  return { SHOWS, validate, usable };
+
+})();
+
+if (typeof module !== 'undefined' && module.exports) module.exports = Contestants;
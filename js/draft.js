@@ -1,8 +1,17 @@
 /**
  * RECOUPLE v2 — Draft System
  * ==========================
- * 9-round draft for the Griddy board layout.
+ * One round per board slot (9 on the default Griddy layout).
  * Each round: pick 1 of 3 contestants.
+ *
+ * A date's rounds never change once it has been played:
+ *   - A contestant with an `added: 'YYYY-MM-DD'` date only joins drafts
+ *     from that date on, so new seasons never reach back into old puzzles.
+ *     New entries must carry one; entries without it are the original pool.
+ *   - ALGORITHMS pins which daily seed and draft algorithm each date uses.
+ *     v1 shuffles the pool in file order; v2 ranks contestants by a hash of
+ *     seed and `id`, so reordering the file changes nothing, and seeds from
+ *     the date's digits, so every time zone deals the same rounds.
  */
 
 const Draft = (() => {
@@ -17,14 +26,29 @@ const Draft = (() => {
     };
   }
 
-  function getDailySeed(date, gameNumber) {
+  const SEED_MULTIPLIERS = [1, 7919, 104729];
+
+  // v1: new Date('YYYY-MM-DD') is UTC midnight, which is the previous day
+  // west of Greenwich. Kept so every date already dealt deals the same again.
+  function localDateSeed(date, gameNumber) {
     const d = new Date(date);
     const base = d.getFullYear() * 10000 + (d.getMonth() + 1) * 100 + d.getDate();
-    const multipliers = [1, 7919, 104729];
-    return base * multipliers[gameNumber - 1] + gameNumber * 31337;
+    return base * SEED_MULTIPLIERS[gameNumber - 1] + gameNumber * 31337;
+  }
+
+  // v2: the date's own digits, the same seed in every time zone
+  function digitsSeed(date, gameNumber) {
+    const [y, m, d] = date.split('-').map(Number);
+    const base = y * 10000 + m * 100 + d;
+    return base * SEED_MULTIPLIERS[gameNumber - 1] + gameNumber * 31337;
   }
 
-  // Rarity per round (9 rounds)
+  // Seed for one of a date's games, from the algorithm that date uses
+  function getDailySeed(date, gameNumber) {
+    return algorithmFor(date).seed(date, gameNumber);
+  }
+
+  // Rarity per round (9 rounds; longer drafts stretch this curve)
   const RARITY_TABLE = [
     [0.30, 0.35, 0.25, 0.10],
     [0.35, 0.35, 0.22, 0.08],
@@ -39,8 +63,13 @@ const Draft = (() => {
 
   const NUM_ROUNDS = 9;
 
-  function rollStarRating(rng, roundIndex) {
-    const probs = RARITY_TABLE[Math.min(roundIndex, RARITY_TABLE.length - 1)];
+  function rarityRow(roundIndex, numRounds) {
+    const scaled = Math.floor(roundIndex * RARITY_TABLE.length / (numRounds || NUM_ROUNDS));
+    return Math.min(scaled, RARITY_TABLE.length - 1);
+  }
+
+  function rollStarRating(rng, roundIndex, numRounds) {
+    const probs = RARITY_TABLE[rarityRow(roundIndex, numRounds)];
     const roll = rng();
     let cumulative = 0;
     for (let star = 0; star < 4; star++) {
@@ -58,7 +87,8 @@ const Draft = (() => {
     return arr;
   }
 
-  function generateAllRounds(allContestants, seed) {
+  // v1: shuffle the whole pool, in file order
+  function generateAllRounds(allContestants, seed, numRounds = NUM_ROUNDS) {
     const rng = mulberry32(seed);
     const pool = [...allContestants];
     seededShuffle(pool, rng);
@@ -66,22 +96,86 @@ const Draft = (() => {
     const rounds = [];
     let poolIndex = 0;
 
-    for (let round = 0; round < NUM_ROUNDS; round++) {
+    for (let round = 0; round < numRounds; round++) {
       const options = [];
       for (let pick = 0; pick < 3; pick++) {
         if (poolIndex >= pool.length) break;
         const contestant = pool[poolIndex++];
-        const stars = rollStarRating(rng, round);
-        options.push({ ...contestant, stars, starPoints: Scoring.RARITY_BASE[stars] });
+        const stars = rollStarRating(rng, round, numRounds);
+        options.push({ ...contestant, stars, starPoints: Scoring.rarityPoints(stars) });
+      }
+      rounds.push(options);
+    }
+    return rounds;
+  }
+
+  // 32-bit FNV-1a of a contestant id, mixed with the seed
+  function idHash(id, seed) {
+    let h = 0x811C9DC5 ^ seed;
+    for (let i = 0; i < id.length; i++) h = Math.imul(h ^ id.charCodeAt(i), 0x01000193);
+    h = Math.imul(h ^ h >>> 16, 0x85EBCA6B);
+    h = Math.imul(h ^ h >>> 13, 0xC2B2AE35);
+    return (h ^ h >>> 16) >>> 0;
+  }
+
+  // v2: contestants in order of their id hash; the seed's own generator
+  // only rolls stars, so the pool can't shift them
+  function generateRoundsById(allContestants, seed, numRounds = NUM_ROUNDS) {
+    const rng = mulberry32(seed);
+    const ranked = allContestants
+      .map(c => ({ c, key: idHash(c.id, seed) }))
+      .sort((a, b) => a.key - b.key || (a.c.id < b.c.id ? -1 : 1))
+      .map(r => r.c);
+
+    const rounds = [];
+    let poolIndex = 0;
+    for (let round = 0; round < numRounds; round++) {
+      const options = [];
+      for (let pick = 0; pick < 3; pick++) {
+        if (poolIndex >= ranked.length) break;
+        const contestant = ranked[poolIndex++];
+        const stars = rollStarRating(rng, round, numRounds);
+        options.push({ ...contestant, stars, starPoints: Scoring.rarityPoints(stars) });
       }
       rounds.push(options);
     }
     return rounds;
   }
 
+  // ─── Versions ───
+  // Append a version to change the algorithm; never edit a `from` already live
+  const ALGORITHMS = [
+    { version: 1, from: null, seed: localDateSeed, generate: generateAllRounds },
+    { version: 2, from: '2026-10-20', seed: digitsSeed, generate: generateRoundsById },
+  ];
+
+  // Launch day of the daily puzzle, when v1 went live. No earlier date has an
+  // official puzzle, so the archive and anything counting days start here.
+  const FIRST_DAY = '2026-01-01';
+
+  function algorithmFor(date) {
+    const current = ALGORITHMS[ALGORITHMS.length - 1];
+    if (!date) return current;
+    return [...ALGORITHMS].reverse().find(a => !a.from || a.from <= date);
+  }
+
+  // Contestants that had been added by a date (all of them with no date)
+  function poolFor(allContestants, date) {
+    return date ? allContestants.filter(c => !c.added || c.added <= date) : allContestants;
+  }
+
+  /**
+   * Rounds for a draft as they were on `date` ('YYYY-MM-DD'): that date's
+   * pool and algorithm. Without a date, the current algorithm and everyone.
+   */
+  function generateRounds(allContestants, seed, numRounds = NUM_ROUNDS, date = null) {
+    return algorithmFor(date).generate(poolFor(allContestants, date), seed, numRounds);
+  }
+
   return {
-    mulberry32, getDailySeed, rollStarRating, seededShuffle,
-    generateAllRounds, RARITY_TABLE, NUM_ROUNDS
+    mulberry32, getDailySeed, rarityRow, rollStarRating, seededShuffle,
+    generateAllRounds, generateRoundsById, generateRounds, algorithmFor, poolFor, idHash,
+    ALGORITHMS, FIRST_DAY, RARITY_TABLE, NUM_ROUNDS
   };
 
 })();
@@ -1,8 +1,17 @@
 /**
  * RECOUPLE v2 — Game Controller
  * ==============================
- * State machine for 9-card Griddy board.
+ * State machine for the draft board (9 cards on the default layout).
  * Phases: idle → drafting → optimizing → completed
+ * Each of the day's games keeps its own save slot, so switching games
+ * resumes where it left off; completed games reopen read-only and count
+ * once. Practice games use random seeds and keep their own slot and stats.
+ * Archive games replay a past date's puzzles, recorded apart from the
+ * live daily results. Challenge games come from a link (see js/challenge.js).
+ *
+ * Moves are recorded as commands so they can be undone and redone.
+ * Swaps of two cards stay undoable until lock-in; a draft placement, or a
+ * move into an empty cell, only until the next round's pick commits it.
  */
 
 const Game = (() => {
@@ -10,36 +19,66 @@ const Game = (() => {
   let state = {
     date: null,
     gameNumber: 0,
+    mode: 'daily',    // daily | practice | archive | challenge
+    layoutId: null,
+    profileId: null,  // scoring profile the game is played under
+    rulesDate: null,  // date whose rotating slot tags apply
+    pool: null,       // tag every drafted contestant must carry, if any
     round: 0,
     allRounds: [],
-    board: new Array(9).fill(null),
+    board: [],
     drafted: [],
+    picks: [],        // option index taken in each round
     selectedIndex: null,
     phase: 'idle',    // idle | drafting | optimizing | completed
     score: null,
+    history: { undo: [], redo: [] },
+    seed: 0,
+    moves: [],        // every move with a board snapshot, for replays
+    startedAt: null,
     contestants: []
   };
 
+  const MAX_HISTORY = 200;
+
   let onStateChange = null;
 
   function setOnStateChange(cb) { onStateChange = cb; }
   function notifyUI() { if (onStateChange) onStateChange({ ...state }); }
   function recalcScore() { state.score = Scoring.calculateScore(state.board); }
 
-  function initGame(contestants, gameNumber, date) {
+  /**
+   * Start a fresh draft. opts.mode is 'daily' (default), 'practice', 'archive'
+   * or 'challenge'; opts.seed overrides the daily seed, opts.pool narrows the
+   * contestants to one tag, opts.rulesDate picks another day's slot tags and
+   * opts.profileId a scoring profile other than the one in settings.
+   */
+  function initGame(contestants, gameNumber, date, layoutId, opts = {}) {
     date = date || Storage.todayStr();
+    const layout = Scoring.setLayout(layoutId || Storage.getSettings().layout);
     state.contestants = contestants;
     state.date = date;
     state.gameNumber = gameNumber;
+    state.mode = opts.mode || 'daily';
+    state.layoutId = layout.id;
+    state.profileId = Scoring.setProfile(opts.profileId || Storage.getSettings().profile).id;
     state.round = 0;
-    state.board = new Array(9).fill(null);
+    state.board = new Array(Scoring.NUM_SLOTS).fill(null);
     state.drafted = [];
+    state.picks = [];
     state.selectedIndex = null;
     state.phase = 'drafting';
+    state.history = { undo: [], redo: [] };
+    state.moves = [];
+    state.startedAt = Date.now();
+    state.rulesDate = opts.rulesDate || date;
+    state.pool = opts.pool || null;
 
-    Scoring.setDailySlots(date);
-    const seed = Draft.getDailySeed(date, gameNumber);
-    state.allRounds = Draft.generateAllRounds(contestants, seed);
+    Scoring.setDailySlots(state.rulesDate);
+    const seed = opts.seed !== undefined ? opts.seed : Draft.getDailySeed(date, gameNumber);
+    state.seed = seed;
+    const pool = state.pool ? contestants.filter(c => c.tags.includes(state.pool)) : contestants;
+    state.allRounds = Draft.generateRounds(pool, seed, Scoring.NUM_SLOTS, state.rulesDate);
 
     recalcScore();
     saveCurrentState();
@@ -47,48 +86,134 @@ const Game = (() => {
   }
 
   function resumeGame(savedState) {
-    Object.assign(state, savedState);
+    // Fields an older save may lack must not leak over from the previous game
+    Object.assign(state, {
+      mode: 'daily', profileId: null, rulesDate: null, pool: null, history: null, moves: null, picks: null, seed: 0, startedAt: null
+    }, savedState);
     state.selectedIndex = null;
-    Scoring.setDailySlots(state.date);
+    // Saves from before layouts existed are always the default board,
+    // and from before profiles the classic scoring
+    state.layoutId = Scoring.setLayout(state.layoutId || 'diamond').id;
+    state.profileId = Scoring.setProfile(state.profileId || 'classic').id;
+    // ...and didn't record picks, but the drafted cards identify them
+    if (!Array.isArray(state.picks) || state.picks.length !== state.drafted.length) {
+      ({ drafted: state.drafted, picks: state.picks } = draftOrder(state.allRounds, state.drafted));
+    }
+    if (!state.history || !Array.isArray(state.history.undo) || !Array.isArray(state.history.redo)) {
+      state.history = { undo: [], redo: [] };
+    }
+    if (!Array.isArray(state.moves)) state.moves = [];
+    if (!state.seed) state.seed = Draft.getDailySeed(state.date, state.gameNumber);
+    if (!state.rulesDate) state.rulesDate = state.date;
+    Scoring.setDailySlots(state.rulesDate);
     recalcScore();
     notifyUI();
   }
 
+  /**
+   * Cards in the order they were drafted, with the option taken each round,
+   * for records that only kept the cards. A card's round is the one that
+   * offered it, whatever cell it ended up in; one no round offered goes last.
+   */
+  function draftOrder(rounds, cards) {
+    const found = cards.map(card => {
+      const round = rounds.findIndex(options => options.some(o => o.id === card.id));
+      return { card, round, pick: round < 0 ? -1 : rounds[round].findIndex(o => o.id === card.id) };
+    }).sort((a, b) => (a.round < 0) - (b.round < 0) || a.round - b.round);
+    return { drafted: found.map(f => f.card), picks: found.map(f => f.pick) };
+  }
+
+  function getNumRounds() { return state.allRounds.length; }
+
   function getDraftOptions() {
-    if (state.round >= Draft.NUM_ROUNDS) return null;
+    if (state.round >= getNumRounds()) return null;
     return state.allRounds[state.round];
   }
 
-  /**
-   * Draft a contestant and place in a specific cell.
-   */
-  function draftToCell(optionIndex, cellIndex) {
-    if (state.phase !== 'drafting' || state.round >= Draft.NUM_ROUNDS) return false;
-    const options = getDraftOptions();
-    if (!options || optionIndex < 0 || optionIndex >= 3) return false;
-    if (cellIndex < 0 || cellIndex >= 9) return false;
+  // ═══ MOVES ═══
+
+  // If the target cell is occupied, its card is displaced to the first empty cell
+  function displacementFor(board, cellIndex) {
+    return board[cellIndex] !== null ? board.indexOf(null) : -1;
+  }
 
-    const contestant = { ...options[optionIndex] };
+  // Apply a draft pick to the state and return its command.
+  function applyDraft(optionIndex, cellIndex) {
+    const contestant = { ...state.allRounds[state.round][optionIndex] };
     state.drafted.push(contestant);
+    state.picks.push(optionIndex);
 
-    // If target cell occupied, displace to first empty
-    if (state.board[cellIndex] !== null) {
-      const displaced = state.board[cellIndex];
-      const emptyIdx = state.board.indexOf(null);
-      if (emptyIdx !== -1) state.board[emptyIdx] = displaced;
-    }
+    const displacedTo = displacementFor(state.board, cellIndex);
+    if (displacedTo !== -1) state.board[displacedTo] = state.board[cellIndex];
 
     state.board[cellIndex] = contestant;
-    state.selectedIndex = null;
-    state.round++;
+    const round = state.round++;
 
-    if (state.round >= Draft.NUM_ROUNDS) {
+    if (state.round >= getNumRounds()) {
       state.phase = 'optimizing';
     }
+    return { type: 'draft', round, option: optionIndex, cell: cellIndex, displacedTo };
+  }
 
+  function revertDraft(cmd) {
+    state.board[cmd.cell] = cmd.displacedTo !== -1 ? state.board[cmd.displacedTo] : null;
+    if (cmd.displacedTo !== -1) state.board[cmd.displacedTo] = null;
+    state.drafted.pop();
+    state.picks.pop();
+    state.round--;
+    state.phase = 'drafting';
+  }
+
+  function applySwap(i1, i2) {
+    const ids = [state.board[i1], state.board[i2]].map(c => c ? c.id : null);
+    [state.board[i1], state.board[i2]] = [state.board[i2], state.board[i1]];
+    return { type: 'swap', a: i1, b: i2, ids };
+  }
+
+  // Cells to swap to undo or redo a swap. A later pick can displace its
+  // cards, so they're found by id; a move into an empty cell never outlives
+  // the round (see record), so its cells still hold.
+  function swapCellsFor(cmd) {
+    if (!cmd.ids || cmd.ids.includes(null)) return [cmd.a, cmd.b];
+    return cmd.ids.map(id => state.board.findIndex(c => c && c.id === id));
+  }
+
+  // A new pick commits the previous one: its draft step drops off the undo
+  // stack, and so does any move into an empty cell, since picks fill empty
+  // cells. Swaps of two cards on either side of it stay undoable.
+  function record(cmd) {
+    const h = state.history;
+    if (cmd.type === 'draft') h.undo = h.undo.filter(c => c.type === 'swap' && c.ids && !c.ids.includes(null));
+    h.undo.push(cmd);
+    if (h.undo.length > MAX_HISTORY) h.undo.shift();
+    h.redo = [];
+  }
+
+  // Log the move with the board it left behind, then save and re-render
+  function commitMove(move) {
+    state.selectedIndex = null;
     recalcScore();
+    state.moves.push({
+      ...move, t: Date.now(),
+      board: state.board.map(c => c ? c.id : null),
+      score: state.score.total
+    });
     saveCurrentState();
     notifyUI();
+  }
+
+  /**
+   * Draft a contestant and place in a specific cell.
+   */
+  function draftToCell(optionIndex, cellIndex) {
+    if (state.phase !== 'drafting' || state.round >= getNumRounds()) return false;
+    const options = getDraftOptions();
+    if (!options || optionIndex < 0 || optionIndex >= 3) return false;
+    if (cellIndex < 0 || cellIndex >= state.board.length) return false;
+
+    const cmd = applyDraft(optionIndex, cellIndex);
+    record(cmd);
+    commitMove(cmd);
     return true;
   }
 
@@ -102,11 +227,71 @@ const Game = (() => {
   }
 
   function swapCells(i1, i2) {
-    if (i1 === i2 || i1 < 0 || i1 >= 9 || i2 < 0 || i2 >= 9) return false;
-    [state.board[i1], state.board[i2]] = [state.board[i2], state.board[i1]];
-    recalcScore();
-    saveCurrentState();
-    notifyUI();
+    if (state.phase !== 'drafting' && state.phase !== 'optimizing') return false;
+    const n = state.board.length;
+    if (i1 === i2 || i1 < 0 || i1 >= n || i2 < 0 || i2 >= n) return false;
+    const cmd = applySwap(i1, i2);
+    record(cmd);
+    commitMove(cmd);
+    return true;
+  }
+
+  // ═══ PREVIEWS ═══
+  // Points a move would gain or lose, without touching the state.
+
+  function previewBoard(board) {
+    return Scoring.calculateScore(board).total - state.score.total;
+  }
+
+  function previewDraft(optionIndex, cellIndex) {
+    if (state.phase !== 'drafting') return null;
+    const options = getDraftOptions();
+    if (!options || !options[optionIndex] || cellIndex < 0 || cellIndex >= state.board.length) return null;
+    const board = [...state.board];
+    const displacedTo = displacementFor(board, cellIndex);
+    if (displacedTo !== -1) board[displacedTo] = board[cellIndex];
+    board[cellIndex] = options[optionIndex];
+    return previewBoard(board);
+  }
+
+  function previewSwap(i1, i2) {
+    if (state.phase !== 'drafting' && state.phase !== 'optimizing') return null;
+    const n = state.board.length;
+    if (i1 === i2 || i1 < 0 || i1 >= n || i2 < 0 || i2 >= n) return null;
+    const board = [...state.board];
+    [board[i1], board[i2]] = [board[i2], board[i1]];
+    return previewBoard(board);
+  }
+
+  // ═══ UNDO / REDO ═══
+
+  function canUndo() {
+    if (state.phase !== 'drafting' && state.phase !== 'optimizing') return false;
+    return state.history.undo.length > 0;
+  }
+
+  function canRedo() {
+    if (state.phase !== 'drafting' && state.phase !== 'optimizing') return false;
+    return state.history.redo.length > 0;
+  }
+
+  function undo() {
+    if (!canUndo()) return false;
+    const cmd = state.history.undo.pop();
+    if (cmd.type === 'draft') revertDraft(cmd);
+    else applySwap(...swapCellsFor(cmd));
+    state.history.redo.push(cmd);
+    commitMove({ type: 'undo', move: cmd.type });
+    return true;
+  }
+
+  function redo() {
+    if (!canRedo()) return false;
+    const cmd = state.history.redo.pop();
+    if (cmd.type === 'draft') applyDraft(cmd.option, cmd.cell);
+    else applySwap(...swapCellsFor(cmd));
+    state.history.undo.push(cmd);
+    commitMove({ type: 'redo', move: cmd.type });
     return true;
   }
 
@@ -132,20 +317,74 @@ const Game = (() => {
     state.phase = 'completed';
     recalcScore();
 
-    Storage.completeGame(state.date, state.gameNumber, state.score.total, state.board);
-    Storage.updateStats(state.score.total, state.score.allValid, state.date);
-    Storage.clearGameState();
+    if (state.mode === 'practice' || state.mode === 'challenge') {
+      Storage.updateSideStats(state.mode, state.score.total, state.score.allValid);
+      saveCurrentState(); // kept so the finished board reopens read-only
+    } else if (!Storage.getDailyProgress(state.date, state.mode)['game' + state.gameNumber].completed) {
+      Storage.completeGame(state.date, state.gameNumber, state.score.total, state.board, state.layoutId, state.mode, state.profileId, state.picks);
+      if (state.mode === 'archive') {
+        Storage.updateSideStats('archive', state.score.total, state.score.allValid);
+        Storage.clearGameState(`archive_${state.date}_${state.gameNumber}`); // reopens from its result
+      } else {
+        Storage.updateStats(state.score.total, state.score.allValid, state.date);
+        saveCurrentState();
+      }
+    }
+    saveHistory();
     notifyUI();
     return state.score;
   }
 
+  // Full record of the finished game for the history store
+  function saveHistory() {
+    if (typeof HistoryDB === 'undefined') return;
+    const opt = Scoring.calculateOptimal(state.drafted, state.score.total);
+    HistoryDB.saveGame({
+      date: state.date, gameNumber: state.gameNumber, mode: state.mode, layoutId: state.layoutId,
+      profileId: state.profileId, seed: state.seed, pool: state.pool, rulesDate: state.rulesDate, slotTags: [...Scoring.SLOT_TAGS],
+      rounds: state.allRounds, picks: state.picks, drafted: state.drafted,
+      moves: state.moves, finalBoard: state.board.map(c => c ? c.id : null),
+      startedAt: state.startedAt, completedAt: Date.now(),
+      breakdown: HistoryDB.breakdownOf(state.score),
+      optimalScore: opt.optimalScore, percentage: opt.percentage
+    });
+  }
+
   function getShareText() {
     if (!state.score) recalcScore();
-    return Storage.generateShareText(state.date, state.gameNumber, state.score.total, state.board, state.score);
+    const link = state.mode === 'challenge' ? getChallengeLink() : getResultLink();
+    return Storage.generateShareText(state.date, state.gameNumber, state.score.total, state.board, state.score, state.mode, link);
+  }
+
+  // Result code for a finished daily or archive game, null for anything else
+  function getResultCode() {
+    if (state.phase !== 'completed' || (state.mode !== 'daily' && state.mode !== 'archive')) return null;
+    return ResultCode.encode({
+      date: state.date, gameNumber: state.gameNumber, layoutId: state.layoutId,
+      profileId: state.profileId, score: state.score.total, board: state.board
+    });
+  }
+
+  // Opening this link shows the result next to the opener's own board
+  function getResultLink() {
+    const code = getResultCode();
+    return code ? `${location.origin}${location.pathname}?result=${code}` : null;
+  }
+
+  // The current draft as a challenge anyone can replay
+  function getChallenge() {
+    return { seed: state.seed, layout: state.layoutId, profile: state.profileId, pool: state.pool, rules: state.rulesDate };
+  }
+
+  function getChallengeLink() {
+    return Challenge.build(getChallenge(), location.origin + location.pathname);
   }
 
   async function shareResults() {
-    const text = getShareText();
+    return shareText(getShareText());
+  }
+
+  async function shareText(text) {
     if (navigator.share) {
       try { await navigator.share({ text }); return true; } catch(e) {}
     }
@@ -161,17 +400,109 @@ const Game = (() => {
 
   function saveCurrentState() {
     Storage.saveGameState({
-      date: state.date, gameNumber: state.gameNumber,
-      round: state.round, allRounds: state.allRounds,
-      board: state.board, drafted: state.drafted, phase: state.phase
+      date: state.date, gameNumber: state.gameNumber, mode: state.mode, layoutId: state.layoutId,
+      profileId: state.profileId, round: state.round, allRounds: state.allRounds,
+      board: state.board, drafted: state.drafted, picks: state.picks, phase: state.phase,
+      history: state.history, seed: state.seed, moves: state.moves, startedAt: state.startedAt,
+      rulesDate: state.rulesDate, pool: state.pool
     });
   }
 
+  // The save in a slot, or null. Daily saves from other days are dropped;
+  // practice and archive games aren't tied to today.
+  function loadSaved(slot, date) {
+    const saved = Storage.loadGameState(slot);
+    if (!saved) return null;
+    if (typeof slot === 'number' && saved.date !== date) { Storage.clearGameState(slot); return null; }
+    return saved;
+  }
+
+  /**
+   * Switch to one of the day's games: resume its save slot, or start it fresh.
+   * A finished game stays locked even if its save is gone.
+   */
+  function openGame(contestants, gameNumber, date) {
+    date = date || Storage.todayStr();
+    if (state.phase !== 'idle' && state.mode === 'daily' && state.date === date && state.gameNumber === gameNumber) return;
+    state.contestants = contestants;
+    const saved = loadSaved(gameNumber, date);
+    const result = Storage.getDailyProgress(date)['game' + gameNumber];
+    if (saved) resumeGame(saved);
+    else if (result.completed && result.finalBoard) openLocked(gameNumber, date, result);
+    else initGame(contestants, gameNumber, date);
+  }
+
+  /**
+   * Open one of a past date's games from the archive, same rules as openGame.
+   */
+  function openArchive(contestants, gameNumber, date) {
+    if (state.phase !== 'idle' && state.mode === 'archive' && state.date === date && state.gameNumber === gameNumber) return;
+    state.contestants = contestants;
+    const saved = loadSaved(`archive_${date}_${gameNumber}`);
+    const result = Storage.getDailyProgress(date, 'archive')['game' + gameNumber];
+    if (saved) resumeGame(saved);
+    else if (result.completed && result.finalBoard) openLocked(gameNumber, date, result, 'archive');
+    else initGame(contestants, gameNumber, date, null, { mode: 'archive' });
+  }
+
+  // Rebuild a finished game from its daily record, read-only. Records from
+  // before picks were kept get their draft order back from the rounds.
+  function openLocked(gameNumber, date, result, mode = 'daily') {
+    const layoutId = result.layoutId || 'diamond';
+    Scoring.setLayout(layoutId);
+    const board = result.finalBoard;
+    const allRounds = Draft.generateRounds(state.contestants, Draft.getDailySeed(date, gameNumber), board.length, date);
+    const picked = Array.isArray(result.picks) && result.picks.length === allRounds.length &&
+      result.picks.map((pick, r) => board.find(c => c && allRounds[r][pick] && c.id === allRounds[r][pick].id));
+    const order = picked && picked.every(Boolean)
+      ? { drafted: picked, picks: result.picks }
+      : draftOrder(allRounds, board.filter(Boolean));
+    resumeGame({
+      date, gameNumber, mode, layoutId, profileId: result.profileId || 'classic',
+      round: board.length, board, ...order, phase: 'completed', allRounds
+    });
+  }
+
+  /**
+   * Switch to practice: resume the practice slot, or deal a random seed.
+   */
+  function openPractice(contestants) {
+    if (state.phase !== 'idle' && state.mode === 'practice') return;
+    state.contestants = contestants;
+    const saved = loadSaved('practice');
+    if (saved) resumeGame(saved);
+    else startPractice(contestants);
+  }
+
+  /**
+   * Open a challenge link: resume it if it's the saved challenge, else deal it.
+   */
+  function openChallenge(contestants, challenge) {
+    state.contestants = contestants;
+    const layoutId = Scoring.setLayout(challenge.layout || Storage.getSettings().layout).id;
+    const profileId = Scoring.setProfile(challenge.profile || Storage.getSettings().profile).id;
+    const saved = loadSaved('challenge');
+    if (saved && saved.seed === challenge.seed && saved.layoutId === layoutId &&
+        (saved.profileId || 'classic') === profileId &&
+        (saved.pool || null) === (challenge.pool || null) &&
+        (!challenge.rules || saved.rulesDate === challenge.rules)) {
+      resumeGame(saved);
+      return;
+    }
+    initGame(contestants, 0, Storage.todayStr(), layoutId,
+      { mode: 'challenge', seed: challenge.seed, pool: challenge.pool, rulesDate: challenge.rules, profileId });
+  }
+
+  function startPractice(contestants) {
+    const seed = Math.floor(Math.random() * 0x100000000);
+    initGame(contestants, 0, Storage.todayStr(), null, { mode: 'practice', seed });
+  }
+
   function tryResume() {
-    const saved = Storage.loadGameState();
+    const active = Storage.getActiveGame();
+    if (!active) return false;
+    const saved = loadSaved(active.slot, Storage.todayStr());
     if (!saved) return false;
-    if (saved.date !== Storage.todayStr()) { Storage.clearGameState(); return false; }
-    if (saved.phase === 'completed') { Storage.clearGameState(); return false; }
     resumeGame(saved);
     return true;
   }
@@ -185,8 +516,8 @@ const Game = (() => {
   }
 
   return {
-    initGame, resumeGame, getDraftOptions, draftContestant, draftToCell,
-    swapCells, selectCell, completeGame, getShareText, shareResults,
+    initGame, openGame, openArchive, openPractice, startPractice, openChallenge, getChallenge, getChallengeLink, getResultCode, getResultLink, resumeGame, getNumRounds, getDraftOptions, draftContestant, draftToCell,
+    swapCells, selectCell, previewDraft, previewSwap, undo, redo, canUndo, canRedo, completeGame, getShareText, shareResults, shareText,
     tryResume, getState, setOnStateChange, haptic, recalcScore
   };
 
@@ -0,0 +1,128 @@
+/**
+ * RECOUPLE v2 — Game History
+ * ===========================
+ * Every completed game, kept in IndexedDB: the seed and rounds it was
+ * drafted from, each move with a board snapshot and timestamp, the final
+ * breakdown and the optimal score. Feeds the history screen and replays.
+ * Every call resolves to a fallback value when IndexedDB isn't available.
+ */
+
+const HistoryDB = (() => {
+
+  const DB_NAME = 'recouple';
+  const DB_VERSION = 1;
+  const STORE = 'games';
+
+  let dbPromise = null;
+
+  function open() {
+    if (dbPromise) return dbPromise;
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') { reject(new Error('IndexedDB unavailable')); return; }
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains(STORE)) {
+          const store = db.createObjectStore(STORE, { keyPath: 'id' });
+          store.createIndex('date', 'date');
+        }
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    dbPromise.catch(() => { dbPromise = null; });
+    return dbPromise;
+  }
+
+  // Run one request against the store and resolve with its result
+  function request(mode, fn) {
+    return open().then(db => new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE, mode);
+      const req = fn(tx.objectStore(STORE));
+      tx.oncomplete = () => resolve(req.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    }));
+  }
+
+  // Daily and archive games are one per date and number; practice and
+  // challenge games are keyed by their draft
+  function gameId(record) {
+    if (record.mode === 'practice') return `${record.date}#p${record.seed}`;
+    if (record.mode === 'archive') return `${record.date}#a${record.gameNumber}`;
+    if (record.mode === 'challenge') return `${record.date}#c${record.seed}-${record.layoutId}-${record.pool || 'all'}`;
+    return `${record.date}#${record.gameNumber}`;
+  }
+
+  // ─── Writes ───
+
+  function saveGame(record) {
+    const entry = { ...record, id: record.id || gameId(record) };
+    return request('readwrite', store => store.put(entry))
+      .then(() => entry)
+      .catch(e => { console.warn('Could not save game history:', e); return null; });
+  }
+
+  // Merge records from a backup, keeping the higher-scoring one of each game.
+  // Resolves to the number of records written.
+  async function importGames(records) {
+    let written = 0;
+    for (const record of records || []) {
+      if (!record || typeof record.date !== 'string' || !record.breakdown || !Array.isArray(record.moves)) continue;
+      const existing = await getGame(record.id || gameId(record));
+      if (existing && existing.breakdown.total >= record.breakdown.total) continue;
+      if (await saveGame(record)) written++;
+    }
+    return written;
+  }
+
+  // ─── Reads ───
+
+  function getGame(id) {
+    return request('readonly', store => store.get(id))
+      .then(r => r || null)
+      .catch(() => null);
+  }
+
+  function getGamesByDate(date) {
+    return request('readonly', store => store.index('date').getAll(date))
+      .then(list => list.sort((a, b) => a.gameNumber - b.gameNumber))
+      .catch(() => []);
+  }
+
+  // Newest first
+  function getAllGames() {
+    return request('readonly', store => store.getAll())
+      .then(list => list.sort((a, b) => b.date.localeCompare(a.date) || a.gameNumber - b.gameNumber))
+      .catch(() => []);
+  }
+
+  // ─── Records ───
+
+  // Points by source, with couple bonuses split out of the connection total
+  function breakdownOf(score) {
+    let couples = 0;
+    for (const cs of score.cellScores) {
+      for (const conn of cs.connections) {
+        if (conn.partner) couples += Scoring.partnerPoints(conn.partner);
+      }
+    }
+    return {
+      total: score.total,
+      slots: score.totalSlot,
+      rarity: score.totalRarity,
+      connections: score.totalConnections - couples,
+      couples,
+      bonus: score.gridBonus || 0,
+      allValid: score.allValid
+    };
+  }
+
+  return {
+    saveGame, importGames, getGame, getGamesByDate, getAllGames,
+    gameId, breakdownOf
+  };
+
+})();
+
+if (typeof module !== 'undefined' && module.exports) module.exports = HistoryDB;
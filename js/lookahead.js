@@ -0,0 +1,150 @@
+/**
+ * RECOUPLE — Draft Lookahead
+ * ==========================
+ * Draft-quality analysis. A game's rounds are all fixed by its seed
+ * (Draft.generateRounds), so the best final score still reachable from
+ * any point in the draft can be searched for directly: earlier picks are
+ * fixed, later rounds may take any of their three options, and the board is
+ * arranged optimally (Scoring.calculateBestReachable).
+ *
+ * Searches are node-budgeted; a result with exact: false is the best found
+ * within the budget. In the browser they run in a Web Worker (this same
+ * file), elsewhere synchronously.
+ */
+
+const Lookahead = (() => {
+
+  // Search nodes per option; enough to prove most 9-slot rounds
+  const MAX_NODES = 150000;
+
+  // One candidate group per round: the pick for rounds already drafted,
+  // `option` (if given) for `round`, and all options after that
+  function groupsFor(allRounds, picks, round, option) {
+    return allRounds.map((options, r) => {
+      if (r < round) return [options[picks[r]]];
+      if (r === round && option !== undefined) return [options[option]];
+      return options;
+    });
+  }
+
+  /**
+   * Best reachable score for each option of `round`, given the picks made in
+   * earlier rounds. delta = how much taking that option lowers the best score.
+   */
+  function analyzeRound(allRounds, picks, round) {
+    const results = allRounds[round].map((_, o) =>
+      Scoring.calculateBestReachable(groupsFor(allRounds, picks, round, o), MAX_NODES));
+    const best = Math.max(...results.map(r => r.score));
+    return {
+      round, best,
+      exact: results.every(r => r.exact),
+      options: results.map(r => ({ score: r.score, delta: r.score - best, exact: r.exact })),
+    };
+  }
+
+  /**
+   * Round-by-round "your pick vs best pick" for a finished draft. Each round
+   * is judged against the picks actually made before it.
+   */
+  function reviewDraft(allRounds, picks) {
+    return picks.map((pick, round) => {
+      const a = analyzeRound(allRounds, picks, round);
+      const bestPick = a.options.findIndex(o => o.score === a.best);
+      return {
+        round, pick, bestPick,
+        pickScore: a.options[pick].score, bestScore: a.best,
+        loss: a.best - a.options[pick].score, exact: a.exact,
+      };
+    });
+  }
+
+  const TASKS = { analyzeRound, reviewDraft };
+
+  // ─── Worker plumbing ───
+
+  const SCRIPT_URL = typeof document !== 'undefined' && document.currentScript
+    ? document.currentScript.src : null;
+
+  let worker = null;       // null = not tried yet, false = unavailable
+  let nextId = 1;
+  const pending = new Map();
+
+  // What the worker's Scoring needs to match the page's
+  function getContext() {
+    return { layout: Scoring.getLayout(), profile: Scoring.getProfile().id, date: Scoring.getDailyKey() };
+  }
+
+  function applyContext(ctx) {
+    Scoring.registerLayouts([ctx.layout]);
+    Scoring.setLayout(ctx.layout.id);
+    Scoring.setProfile(ctx.profile);
+    Scoring.setDailySlots(ctx.date);
+  }
+
+  function getWorker() {
+    if (worker !== null) return worker;
+    worker = false;
+    if (typeof Worker === 'undefined' || !SCRIPT_URL) return worker;
+    try {
+      worker = new Worker(SCRIPT_URL);
+      worker.onmessage = (e) => {
+        const job = pending.get(e.data.id);
+        if (!job) return;
+        pending.delete(e.data.id);
+        if (e.data.error) job.reject(new Error(e.data.error));
+        else job.resolve(e.data.result);
+      };
+      worker.onerror = () => {
+        // Fall back to the main thread for anything still waiting
+        worker = false;
+        for (const [, job] of pending) job.fallback();
+        pending.clear();
+      };
+    } catch(e) {
+      worker = false;
+    }
+    return worker;
+  }
+
+  // Run a task off the main thread when possible; resolves with its result
+  function run(type, ...args) {
+    const runHere = () => new Promise(resolve => setTimeout(() => resolve(TASKS[type](...args)), 0));
+    const w = getWorker();
+    if (!w) return runHere();
+    return new Promise((resolve, reject) => {
+      const id = nextId++;
+      pending.set(id, { resolve, reject, fallback: () => runHere().then(resolve, reject) });
+      w.postMessage({ id, type, args, context: getContext() });
+    });
+  }
+
+  function requestRound(allRounds, picks, round) { return run('analyzeRound', allRounds, picks, round); }
+  function requestReview(allRounds, picks) { return run('reviewDraft', allRounds, picks); }
+
+  // Worker side: same module, answering the page's requests
+  function serve() {
+    self.onmessage = (e) => {
+      const { id, type, args, context } = e.data;
+      try {
+        applyContext(context);
+        self.postMessage({ id, result: TASKS[type](...args) });
+      } catch(err) {
+        self.postMessage({ id, error: String(err && err.message || err) });
+      }
+    };
+  }
+
+  return {
+    MAX_NODES, groupsFor, analyzeRound, reviewDraft,
+    requestRound, requestReview, serve
+  };
+
+})();
+
+if (typeof module !== 'undefined' && module.exports) module.exports = Lookahead;
+
+// Loaded as a Web Worker: pull in the scoring engine and start serving
+if (typeof importScripts === 'function' && typeof document === 'undefined') {
+  importScripts('scoring.js');
+  Lookahead.serve();
+}
@@ -0,0 +1,112 @@
+/**
+ * RECOUPLE v2 — Result Codes
+ * ===========================
+ * A finished daily board as a short URL-safe string:
+ *   R2.<YYYYMMDD>.<game>.<layout>.<profile>.<score>.<id>~<id>~…
+ * Ids are listed in board order, so the code carries the placement too;
+ * the round each id came from is found by rebuilding that day's draft.
+ * R1 codes, from before scoring profiles, have no profile and are classic.
+ * A code is only trusted once verify() has rebuilt the board and
+ * recomputed its score with Scoring.calculateScore.
+ */
+
+const ResultCode = (() => {
+
+  const VERSION = 'R2';
+  const PATTERN = /R2\.\d{8}\.[1-3]\.[a-z0-9_-]+\.[a-z0-9_-]+\.-?\d{1,4}\.[a-z0-9~-]+|R1\.\d{8}\.[1-3]\.[a-z0-9_-]+\.\d{1,4}\.[a-z0-9~-]+/i;
+
+  function encode({ date, gameNumber, layoutId, profileId = 'classic', score, board }) {
+    if (board.some(c => !c)) return null;
+    return [VERSION, date.replace(/-/g, ''), gameNumber, layoutId, profileId, score, board.map(c => c.id).join('~')].join('.');
+  }
+
+  /**
+   * Read a code, or a share text / link with one in it. Returns null when
+   * there is no well-formed code.
+   */
+  function decode(text) {
+    const match = String(text || '').match(PATTERN);
+    if (!match) return null;
+    const parts = match[0].split('.');
+    if (parts[0].toUpperCase() === 'R1') parts.splice(4, 0, 'classic');
+    const [, ymd, game, layoutId, profileId, score, ids] = parts;
+    return {
+      date: `${ymd.slice(0, 4)}-${ymd.slice(4, 6)}-${ymd.slice(6)}`,
+      gameNumber: Number(game),
+      layoutId,
+      profileId,
+      score: Number(score),
+      ids: ids.split('~')
+    };
+  }
+
+  // Run fn under another layout, profile and day's slot tags, then put the active ones back
+  function withRules(layoutId, profileId, date, fn) {
+    const prevLayout = Scoring.getLayout().id;
+    const prevProfile = Scoring.getProfile().id;
+    const prevDate = Scoring.getDailyKey();
+    try {
+      Scoring.setLayout(layoutId);
+      Scoring.setProfile(profileId);
+      Scoring.setDailySlots(date);
+      return fn();
+    } finally {
+      Scoring.setLayout(prevLayout);
+      Scoring.setProfile(prevProfile);
+      Scoring.setDailySlots(prevDate);
+    }
+  }
+
+  // Scoring edges of a scored board, once each: { a, b, points, types, partner }
+  function scoringEdges(score) {
+    const edges = new Map();
+    for (const cs of score.cellScores) {
+      for (const conn of cs.connections) {
+        const a = Math.min(cs.index, conn.neighborIndex), b = Math.max(cs.index, conn.neighborIndex);
+        // Each end of an edge earns its points, so the edge is worth both
+        if (!edges.has(a + '-' + b)) edges.set(a + '-' + b, { a, b, points: conn.points * 2, types: conn.types, partner: conn.partner });
+      }
+    }
+    return [...edges.values()].sort((x, y) => y.points - x.points);
+  }
+
+  /**
+   * Rebuild a decoded result against the day's draft and rescore it.
+   * Returns { ok, problems, layout, profile, board, picks, score, edges }; picks[r]
+   * is the card taken in round r (null if the board has none from it).
+   */
+  function verify(result, contestants) {
+    const problems = [];
+    const layout = Scoring.getLayouts().find(l => l.id === result.layoutId);
+    if (!layout) {
+      return { ok: false, problems: [`Unknown board layout "${result.layoutId}"`], layout: null, profile: null, board: [], picks: [], score: null, edges: [] };
+    }
+    const profile = Scoring.getProfiles().find(p => p.id === (result.profileId || 'classic'));
+    if (!profile) {
+      return { ok: false, problems: [`Unknown scoring profile "${result.profileId}"`], layout: null, profile: null, board: [], picks: [], score: null, edges: [] };
+    }
+    const numSlots = layout.slots.length;
+    if (result.ids.length !== numSlots) problems.push(`Expected ${numSlots} contestants, found ${result.ids.length}`);
+
+    const rounds = Draft.generateRounds(contestants, Draft.getDailySeed(result.date, result.gameNumber), numSlots, result.date);
+    const picks = new Array(numSlots).fill(null);
+    const board = result.ids.slice(0, numSlots).map(id => {
+      const r = rounds.findIndex(options => options.some(o => o.id === id));
+      if (r < 0) { problems.push(`"${id}" wasn't offered in this draft`); return null; }
+      if (picks[r]) problems.push(`Two picks from round ${r + 1}`);
+      picks[r] = rounds[r].find(o => o.id === id);
+      return picks[r];
+    });
+    while (board.length < numSlots) board.push(null);
+
+    const score = withRules(layout.id, profile.id, result.date, () => Scoring.calculateScore(board));
+    if (score.total !== result.score) problems.push(`Board scores ${score.total} pts, code claims ${result.score}`);
+
+    return { ok: problems.length === 0, problems, layout, profile, board, picks, score, edges: scoringEdges(score) };
+  }
+
+  return { encode, decode, verify, scoringEdges };
+
+})();
+
+if (typeof module !== 'undefined' && module.exports) module.exports = ResultCode;
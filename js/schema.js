@@ -0,0 +1,151 @@
+/**
+ * RECOUPLE v2 — Storage Schema
+ * =============================
+ * The shape of everything Storage keeps, and how older data is brought up
+ * to it. VERSION is stored under the 'schema' key; Storage.migrate() runs
+ * each step of MIGRATIONS newer than that at startup, then checks every
+ * key with validate() and quarantines what fails. Steps only ever fill in
+ * or move data, so running one twice is harmless.
+ */
+
+const Schema = (() => {
+
+  const VERSION = 4;
+  const MODES = ['daily', 'practice', 'archive', 'challenge'];
+  // Every phase Game saves in ('idle' is never saved)
+  const PHASES = ['drafting', 'optimizing', 'completed'];
+  const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+  // ─── Migrations ───
+  // Each step gets a store of { get, set, remove, names } over the
+  // unprefixed key names.
+  const MIGRATIONS = [
+    {
+      version: 1,
+      name: 'One save slot per game',
+      run(store) {
+        const legacy = store.get('game_state');
+        if (legacy) {
+          if (Number.isInteger(legacy.gameNumber)) store.set('game_state_' + legacy.gameNumber, legacy);
+          store.set('active_game', { date: legacy.date, slot: legacy.gameNumber });
+          store.remove('game_state');
+        }
+        // Pointers written before practice mode carried a game number
+        const active = store.get('active_game');
+        if (active && active.slot === undefined) store.set('active_game', { date: active.date, slot: active.gameNumber });
+      }
+    },
+    {
+      version: 2,
+      name: 'Streaks by local calendar day',
+      run() { Storage.migrateStreaks(); }
+    },
+    {
+      version: 3,
+      name: 'Fields added to saved games',
+      run(store) {
+        for (const name of store.names()) {
+          if (!name.startsWith('game_state_')) continue;
+          const s = store.get(name);
+          if (!s || typeof s !== 'object') continue;
+          const history = s.history && Array.isArray(s.history.undo) && Array.isArray(s.history.redo)
+            ? s.history : { undo: [], redo: [] };
+          store.set(name, {
+            mode: 'daily', layoutId: 'diamond', pool: null, moves: [], ...s,
+            rulesDate: s.rulesDate || s.date, history
+          });
+        }
+      }
+    },
+    {
+      version: 4,
+      name: 'Scoring profile in saved games and results',
+      run(store) {
+        // Everything played before profiles was classic scoring
+        for (const name of store.names()) {
+          const value = store.get(name);
+          if (!value || typeof value !== 'object') continue;
+          if (name.startsWith('game_state_')) {
+            if (!value.profileId) store.set(name, { ...value, profileId: 'classic' });
+          } else if (/^(daily|archive)_\d{4}-\d{2}-\d{2}$/.test(name)) {
+            const progress = { ...value };
+            for (const g of [1, 2, 3]) {
+              const r = progress['game' + g];
+              if (r && r.completed && !r.profileId) progress['game' + g] = { ...r, profileId: 'classic' };
+            }
+            store.set(name, progress);
+          }
+        }
+      }
+    }
+  ];
+
+  // ─── Validation ───
+  // Each returns null when the value is usable, else what's wrong with it
+
+  function isCard(c) {
+    return !!c && typeof c === 'object' && typeof c.name === 'string' &&
+      Number.isInteger(c.stars) && Array.isArray(c.tags);
+  }
+
+  function checkGameState(s) {
+    if (!s || typeof s !== 'object') return 'not an object';
+    if (!DATE_RE.test(s.date)) return 'bad date';
+    if (s.mode !== undefined && !MODES.includes(s.mode)) return `unknown mode "${s.mode}"`;
+    if (!PHASES.includes(s.phase)) return `unknown phase "${s.phase}"`;
+    if (!Array.isArray(s.board) || !s.board.every(c => c === null || isCard(c))) return 'bad board';
+    if (!Array.isArray(s.drafted) || !s.drafted.every(isCard)) return 'bad drafted cards';
+    if (!Array.isArray(s.allRounds) || !s.allRounds.every(r => Array.isArray(r) && r.every(isCard))) return 'bad draft rounds';
+    if (!Number.isInteger(s.round) || s.round < 0 || s.round > s.allRounds.length) return 'bad round';
+    const layout = Scoring.getLayouts().find(l => l.id === (s.layoutId || 'diamond'));
+    if (!layout) return `unknown layout "${s.layoutId}"`;
+    if (s.profileId !== undefined && !Scoring.getProfiles().some(p => p.id === s.profileId)) return `unknown scoring profile "${s.profileId}"`;
+    if (s.board.length !== layout.slots.length) return `board doesn't fit the ${layout.name} layout`;
+    return null;
+  }
+
+  function checkProgress(p) {
+    if (!p || typeof p !== 'object') return 'not an object';
+    for (const g of [1, 2, 3]) {
+      const r = p['game' + g];
+      if (!r || typeof r !== 'object' || typeof r.completed !== 'boolean' || typeof r.score !== 'number') return `bad game ${g} result`;
+      if (r.completed && r.finalBoard && !(Array.isArray(r.finalBoard) && r.finalBoard.every(c => c === null || isCard(c)))) {
+        return `bad game ${g} board`;
+      }
+    }
+    return null;
+  }
+
+  function checkStats(s) {
+    if (!s || typeof s !== 'object') return 'not an object';
+    const bad = ['gamesPlayed', 'totalScore', 'bestScore'].find(k => !Number.isFinite(s[k]));
+    return bad ? `bad ${bad}` : null;
+  }
+
+  function checkActiveGame(a) {
+    if (!a || typeof a !== 'object' || !DATE_RE.test(a.date)) return 'bad active game';
+    return null;
+  }
+
+  function checkSettings(s) {
+    return s && typeof s === 'object' && !Array.isArray(s) ? null : 'not an object';
+  }
+
+  /**
+   * Check one stored value by its unprefixed key name. Keys Storage doesn't
+   * own a shape for (schema, quarantine, anything unknown) always pass.
+   */
+  function validate(name, value) {
+    if (name.startsWith('game_state_')) return checkGameState(value);
+    if (/^(daily|archive)_\d{4}-\d{2}-\d{2}$/.test(name)) return checkProgress(value);
+    if (/^((practice|archive|challenge)_)?stats$/.test(name)) return checkStats(value);
+    if (name === 'active_game') return checkActiveGame(value);
+    if (name === 'settings') return checkSettings(value);
+    return null;
+  }
+
+  return { VERSION, MIGRATIONS, validate, checkGameState };
+
+})();
+
+if (typeof module !== 'undefined' && module.exports) module.exports = Schema;
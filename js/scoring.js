@@ -1,74 +1,346 @@
 /**
  * RECOUPLE v3 — Simplified Scoring Engine
  * ========================================
- * 9-card board, 4 trait slots + 5 WILD:
+ * 9-card board, 3 fixed trait slots + 2 daily slots + 4 WILD:
  *
- *      [0:WILD]──────[1:Bombshell]
+ *      [0:DAILY]─────[1:Bombshell]
  *       / \            / \
  *   [2:WILD] [3:USA]──[4:UK] [5:WILD]
  *       \ / \      / \ /
- *      [6:WILD] [8:Casa] [7:WILD]
+ *      [6:WILD] [8:DAILY] [7:WILD]
  *
- * Only 4 traits matter: usa, uk, bombshell, casa
+ * The diagram is the built-in "diamond" layout. Other boards come from
+ * data/layouts.json — each layout lists its slots (tag + screen position),
+ * edges and share-grid template, and setLayout() swaps the active one.
+ *
+ * DAILY slots (`rotating: true` in a layout) take their tag from a schedule
+ * seeded by the date, drawn from every tag the layout doesn't already fix.
  * WILD slots accept any contestant but give 0 slot points.
- * No perfect board bonus — score = slots + rarity + connections.
+ * Score = slots + rarity + connections (+ a perfect-board bonus when the
+ * profile has one). What a connection is worth comes from CONNECTION_RULES,
+ * and every number from the active scoring profile (PROFILES).
+ * calculateOptimal() finds the best arrangement by branch and bound, and
+ * calculateBestReachable() extends that search to picks not yet made.
  */
 
 const Scoring = (() => {
 
-  const NUM_SLOTS = 9;
-
-  const EDGES = [
-    [0, 1],   // WILD-TL ↔ Bombshell
-    [0, 2],   // WILD-TL ↔ WILD-L
-    [0, 3],   // WILD-TL ↔ USA
-    [1, 4],   // Bombshell ↔ UK
-    [1, 5],   // Bombshell ↔ WILD-R
-    [3, 4],   // USA ↔ UK (center pair)
-    [3, 2],   // USA ↔ WILD-L
-    [4, 5],   // UK ↔ WILD-R
-    [3, 6],   // USA ↔ WILD-BL
-    [3, 8],   // USA ↔ Casa
-    [4, 7],   // UK ↔ WILD-BR
-    [4, 8],   // UK ↔ Casa
-    [2, 6],   // WILD-L ↔ WILD-BL
-    [5, 7],   // WILD-R ↔ WILD-BR
-    [6, 8],   // WILD-BL ↔ Casa
-    [7, 8],   // WILD-BR ↔ Casa
-  ];
+  // Fallback used until layouts.json is registered (and by Node tools)
+  const DEFAULT_LAYOUT = {
+    id: 'diamond',
+    name: 'Diamond',
+    slots: [
+      { rotating: true,   x: 35, y: 4  },   // 0: DAILY-TL
+      { tag: 'bombshell', x: 65, y: 4  },   // 1: Bombshell
+      { tag: null,        x: 5,  y: 35 },   // 2: WILD-L
+      { tag: 'usa',       x: 35, y: 42 },   // 3: USA (power position)
+      { tag: 'uk',        x: 65, y: 42 },   // 4: UK (power position)
+      { tag: null,        x: 95, y: 35 },   // 5: WILD-R
+      { tag: null,        x: 12, y: 72 },   // 6: WILD-BL
+      { tag: null,        x: 88, y: 72 },   // 7: WILD-BR
+      { rotating: true,   x: 50, y: 82 },   // 8: DAILY-B
+    ],
+    edges: [
+      [0, 1], [0, 2], [0, 3], [1, 4], [1, 5], [3, 4], [3, 2], [4, 5],
+      [3, 6], [3, 8], [4, 7], [4, 8], [2, 6], [5, 7], [6, 8], [7, 8],
+    ],
+    shareGrid: [
+      '    {0}  {1}',
+      '  {2} {3}  {4} {5}',
+      '   {6}  {8}  {7}',
+    ],
+  };
+
+  const TAG_INFO = {
+    usa:       { label: 'USA',       emoji: '🇺🇸' },
+    uk:        { label: 'UK',        emoji: '🇬🇧' },
+    bombshell: { label: 'Bombshell', emoji: '💣' },
+    casa:      { label: 'Casa Amor', emoji: '🏠' },
+    winner:    { label: 'Winner',    emoji: '👑' },
+    coupled:   { label: 'Coupled',   emoji: '💑' },
+    finale:    { label: 'Finale',    emoji: '🏆' },
+    day1:      { label: 'Day 1',     emoji: '☀️' },
+    season6:   { label: 'S6+',       emoji: '6️⃣' },
+    og_era:    { label: 'OG Era',    emoji: '🕰️' },
+  };
+  const WILD_INFO = { label: 'Wild', emoji: '🃏' };
+
+  const layouts = { [DEFAULT_LAYOUT.id]: DEFAULT_LAYOUT };
+  let layout = null;
+
+  let dailyKey = null;     // date the rotating slots were drawn for
+
+  // Derived from the active layout by applyLayout()
+  let NUM_SLOTS = 0;
+  let EDGES = [];
+  let ADJACENCY = [];
+  let SLOT_TAGS = [];     // null = WILD
+  let SLOT_LABELS = [];
+
+  function applyLayout(def) {
+    layout = def;
+    NUM_SLOTS = def.slots.length;
+    EDGES = def.edges.map(([a, b]) => [a, b]);
+    ADJACENCY = Array.from({ length: NUM_SLOTS }, () => []);
+    for (const [a, b] of EDGES) {
+      ADJACENCY[a].push(b);
+      ADJACENCY[b].push(a);
+    }
+    applySlotTags();
+  }
+
+  function applySlotTags() {
+    const daily = drawDailyTags(layout, dailyKey);
+    let next = 0;
+    SLOT_TAGS = layout.slots.map(s => s.rotating ? daily[next++] : (s.tag || null));
+    SLOT_LABELS = SLOT_TAGS.map((tag, index) => {
+      const info = tag ? (TAG_INFO[tag] || { label: tag, emoji: '❔' }) : WILD_INFO;
+      const rotating = !!layout.slots[index].rotating;
+      return { index, tag, label: info.label, emoji: info.emoji, rotating };
+    });
+  }
+
+  // ═══ DAILY SLOT SCHEDULE ═══
+
+  // Same generator as Draft.mulberry32 (Draft loads after this file)
+  function _scheduleRng(seed) {
+    return function() {
+      seed = seed + 0x6D2B79F5 | 0;
+      let t = Math.imul(seed ^ seed >>> 15, 1 | seed);
+      t = t + Math.imul(t ^ t >>> 7, 61 | t) ^ t;
+      return ((t ^ t >>> 14) >>> 0) / 4294967296;
+    };
+  }
+
+  // Tags for the layout's rotating slots on a given 'YYYY-MM-DD' date.
+  // Rotating slots never repeat a tag the layout fixes elsewhere, or each other.
+  function drawDailyTags(def, date) {
+    const count = def.slots.filter(s => s.rotating).length;
+    if (!count) return [];
+    const fixed = new Set(def.slots.map(s => s.tag).filter(Boolean));
+    const pool = Object.keys(TAG_INFO).filter(t => !fixed.has(t));
+    const [y, m, d] = String(date || '').split('-').map(Number);
+    const rng = _scheduleRng(Math.imul((y || 0) * 10000 + (m || 0) * 100 + (d || 0), 0x9E3779B1));
+    for (let i = pool.length - 1; i > 0; i--) {
+      const j = Math.floor(rng() * (i + 1));
+      [pool[i], pool[j]] = [pool[j], pool[i]];
+    }
+    return Array.from({ length: count }, (_, i) => pool[i % pool.length]);
+  }
+
+  function setDailySlots(date) {
+    dailyKey = date || null;
+    activeRules = rulesFor(dailyKey);
+    applySlotTags();
+    return getRotatingSlot();
+  }
+
+  function getDailyKey() { return dailyKey; }
+
+  function getRotatingSlots() { return SLOT_LABELS.filter(sl => sl.rotating); }
+  function getRotatingSlot() { return getRotatingSlots()[0] || null; }
+
+  function isValidLayout(def) {
+    if (!def || typeof def.id !== 'string' || !Array.isArray(def.slots) || !Array.isArray(def.edges)) return false;
+    const n = def.slots.length;
+    if (n === 0) return false;
+    return def.edges.every(e => Array.isArray(e) && e.length === 2 &&
+      e.every(i => Number.isInteger(i) && i >= 0 && i < n) && e[0] !== e[1]);
+  }
 
-  const ADJACENCY = Array.from({ length: NUM_SLOTS }, () => []);
-  for (const [a, b] of EDGES) {
-    ADJACENCY[a].push(b);
-    ADJACENCY[b].push(a);
-  }
-
-  // null = WILD
-  const SLOT_TAGS = [null, 'bombshell', null, 'usa', 'uk', null, null, null, 'casa'];
-
-  const SLOT_LABELS = [
-    { index: 0, tag: null,        label: 'Wild',      emoji: '🃏' },
-    { index: 1, tag: 'bombshell', label: 'Bombshell', emoji: '💣' },
-    { index: 2, tag: null,        label: 'Wild',      emoji: '🃏' },
-    { index: 3, tag: 'usa',       label: 'USA',       emoji: '🇺🇸' },
-    { index: 4, tag: 'uk',        label: 'UK',        emoji: '🇬🇧' },
-    { index: 5, tag: null,        label: 'Wild',      emoji: '🃏' },
-    { index: 6, tag: null,        label: 'Wild',      emoji: '🃏' },
-    { index: 7, tag: null,        label: 'Wild',      emoji: '🃏' },
-    { index: 8, tag: 'casa',      label: 'Casa Amor', emoji: '🏠' },
+  function registerLayouts(list) {
+    for (const def of list || []) {
+      if (isValidLayout(def)) layouts[def.id] = def;
+      else console.warn('Skipping invalid layout:', def && def.id);
+    }
+    // Re-apply in case the active layout's definition was replaced
+    if (layout && layouts[layout.id] !== layout) applyLayout(layouts[layout.id]);
+  }
+
+  function setLayout(id) {
+    const def = layouts[id] || DEFAULT_LAYOUT;
+    if (def !== layout) applyLayout(def);
+    return layout;
+  }
+
+  function getLayout() { return layout; }
+  function getLayouts() { return Object.values(layouts); }
+
+  applyLayout(DEFAULT_LAYOUT);
+
+
+  // ═══ SCORING PROFILES ═══
+  //
+  // Every number the scoring uses. A game is played under one profile,
+  // chosen with setProfile() and recorded in its save, result code and
+  // challenge link, so a board always rescores the way it was played.
+
+  // Villa partnerships; a pair scores its best-paid shared type
+  const PARTNER_TYPES = {
+    final: { label: 'Final couple',    emoji: '💕' },
+    casa:  { label: 'Casa recoupling', emoji: '🏠' },
+    ex:    { label: 'Ex',              emoji: '💔' },
+  };
+
+  const CLASSIC = {
+    id: 'classic',
+    name: 'Classic',
+    description: 'The standard rules',
+    slotMatch: 2,
+    countryMatch: 2,
+    seasonMatch: 1,
+    comboBonus: 2,        // on top of country + season
+    partners: { final: 4, casa: 3, ex: 2 },
+    yearMatch: 1,
+    bothWinners: 2,
+    bothBombshells: 1,
+    rarity: { 1: 0, 2: 1, 3: 2, 4: 3 },
+    perfectBonus: 0,      // every slot filled validly
+    invalidPenalty: 0,    // per card in a trait slot it doesn't match
+  };
+
+  const PROFILES = {
+    classic: CLASSIC,
+    couples: {
+      ...CLASSIC,
+      id: 'couples',
+      name: 'Couples',
+      description: 'Villa partners pay double, and a perfect board earns a bonus',
+      partners: { final: 8, casa: 6, ex: 4 },
+      perfectBonus: 5,
+    },
+    rarity: {
+      ...CLASSIC,
+      id: 'rarity',
+      name: 'Rarity',
+      description: 'Rare stars pay more, misplaced cards cost points',
+      rarity: { 1: 0, 2: 2, 3: 4, 4: 7 },
+      invalidPenalty: 1,
+    },
+  };
+  const DEFAULT_PROFILE = 'classic';
+
+  let profile = PROFILES[DEFAULT_PROFILE];
+
+  function setProfile(id) {
+    profile = Object.hasOwn(PROFILES, id) ? PROFILES[id] : PROFILES[DEFAULT_PROFILE];
+    return profile;
+  }
+
+  function getProfile() { return profile; }
+  function getProfiles() { return Object.values(PROFILES); }
+
+  function rarityPoints(stars) { return profile.rarity[stars] || 0; }
+  function partnerPoints(type) { return profile.partners[type] || 0; }
+
+  // ═══ CONNECTION RULES ═══
+  //
+  // Everything two neighbouring cards can score together, in one place:
+  // calculateScore, the solver and the board's edge colours all read it,
+  // and the help overlay is written from it. test(a, b) is truthy when the
+  // rule applies, and its result is passed on to points(), which reads the
+  // active profile. A rule that applies skips any later rule it `replaces`.
+  // Rules with a `from` date only count on boards whose rules date is that
+  // day or later, and rules with an `until` date only before it, so older
+  // results keep their scores.
+  //
+  // RULES_V2 (the day draft v2 starts, see Draft.ALGORITHMS) adds the year,
+  // winners and bombshells rules and retires 'season-number'.
+  const RULES_V2 = '2026-10-20';
+  const sameSeason = (a, b) => a.show === b.show && a.seasonNum === b.seasonNum;
+  const CONNECTION_RULES = [
+    {
+      id: 'combo', label: 'Country + Season', icon: '🔥', edge: 'combo',
+      help: 'Country + Season', replaces: ['country', 'season', 'season-number', 'year'],
+      test: sameSeason,
+      points: () => profile.countryMatch + profile.seasonMatch + profile.comboBonus,
+    },
+    {
+      id: 'country', label: 'Same country', icon: '🌍', edge: 'match',
+      help: 'Same country',
+      test: (a, b) => a.show === b.show,
+      points: () => profile.countryMatch,
+    },
+    // A season belongs to one show: USA S2 and UK S2 are different seasons.
+    // Same season means same country too, so on a board this always comes
+    // out as the combo above.
+    {
+      id: 'season', label: 'Same season', icon: '🗓', edge: 'match',
+      help: 'Same season',
+      test: sameSeason,
+      points: () => profile.seasonMatch,
+    },
+    // Boards dealt before RULES_V2 also matched season numbers across shows;
+    // kept for them so their scores and result codes still check out
+    {
+      id: 'season-number', label: 'Same season number', icon: '🗓', edge: 'match', until: RULES_V2,
+      help: `Same season number, other show (boards before ${RULES_V2})`,
+      test: (a, b) => a.show !== b.show && a.seasonNum === b.seasonNum,
+      points: () => profile.seasonMatch,
+    },
+    {
+      id: 'couple', label: 'Villa partners', icon: '💕', edge: 'couple',
+      help: 'Villa partners', variants: PARTNER_TYPES,
+      test: (a, b) => partnerType(a, b),
+      points: (type) => partnerPoints(type),
+    },
+    {
+      id: 'year', label: 'Same year', icon: '📅', edge: 'match', from: RULES_V2,
+      help: 'Same year, either show',
+      test: (a, b) => a.seasonYear === b.seasonYear,
+      points: () => profile.yearMatch,
+    },
+    {
+      id: 'winners', label: 'Both winners', icon: '👑', edge: 'match', from: RULES_V2,
+      help: 'Both won their season',
+      test: (a, b) => a.tags.includes('winner') && b.tags.includes('winner'),
+      points: () => profile.bothWinners,
+    },
+    {
+      id: 'bombshells', label: 'Both bombshells', icon: '💣', edge: 'match', from: RULES_V2,
+      help: 'Both bombshells',
+      test: (a, b) => a.tags.includes('bombshell') && b.tags.includes('bombshell'),
+      points: () => profile.bothBombshells,
+    },
   ];
+  const RULES_BY_ID = Object.fromEntries(CONNECTION_RULES.map(rule => [rule.id, rule]));
+  // Edge styles, strongest first; an edge is drawn in the strongest of its rules'
+  const EDGE_STYLES = ['couple', 'combo', 'match'];
 
-  // Tags that matter for display on cards
-  const DISPLAY_TAGS = ['usa', 'uk', 'bombshell', 'casa'];
+  let activeRules = CONNECTION_RULES;
 
-  // ═══ SCORING CONSTANTS ═══
-  const SLOT_MATCH_PTS = 2;
-  const COUNTRY_MATCH_PTS = 2;
-  const SEASON_MATCH_PTS = 1;
-  const COUNTRY_SEASON_COMBO = 2;  // bonus on top of country+season
-  const COUPLE_BONUS_PTS = 4;
-  const RARITY_BASE = { 1: 0, 2: 1, 3: 2, 4: 3 };
-  // No perfect board bonus
+  // Rules in force for a rules date (null = the newest rules)
+  function rulesFor(date) {
+    return CONNECTION_RULES.filter(rule =>
+      (!rule.from || !date || date >= rule.from) && (!rule.until || (date && date < rule.until)));
+  }
+
+  function getConnectionRules() { return activeRules; }
+
+  /**
+   * What two neighbouring cards score together, per side:
+   * { points, types: [rule ids], partner? }.
+   */
+  function connect(a, b) {
+    const conn = { points: 0, types: [] };
+    let skipped = null;
+    for (const rule of activeRules) {
+      if (skipped && skipped.includes(rule.id)) continue;
+      const hit = rule.test(a, b);
+      if (!hit) continue;
+      conn.points += rule.points(hit);
+      conn.types.push(rule.id);
+      if (rule.id === 'couple') conn.partner = hit;
+      if (rule.replaces) skipped = skipped ? skipped.concat(rule.replaces) : rule.replaces;
+    }
+    return conn;
+  }
+
+  // Style to draw an edge with connection types `types`, or null if it scores nothing
+  function edgeStyle(types) {
+    if (!types || !types.length) return null;
+    return EDGE_STYLES.find(style => types.some(t => RULES_BY_ID[t] && RULES_BY_ID[t].edge === style)) || null;
+  }
 
   // ═══ FUNCTIONS ═══
 
@@ -87,12 +359,30 @@ const Scoring = (() => {
     return ADJACENCY[slotIndex];
   }
 
+  /**
+   * The partnership between two cards, as a PARTNER_TYPES key, or null.
+   * Cards list partners by id: partners: [{ id, type }]. Cards saved before
+   * that carry a single `couple` name, read as a final couple.
+   */
+  function partnerType(ca, cb) {
+    let best = null;
+    const consider = (type) => {
+      if (PARTNER_TYPES[type] && (!best || partnerPoints(type) > partnerPoints(best))) best = type;
+    };
+    for (const [a, b] of [[ca, cb], [cb, ca]]) {
+      if (Array.isArray(a.partners)) {
+        for (const p of a.partners) if (p && p.id === b.id) consider(p.type);
+      } else if (a.couple && a.couple === b.name) {
+        consider('final');
+      }
+    }
+    return best;
+  }
+
   function getSlotLabels() { return SLOT_LABELS; }
-  function getDisplayTags() { return DISPLAY_TAGS; }
+  // Tags that matter for display on cards: whatever today's slots ask for
+  function getDisplayTags() { return [...new Set(SLOT_TAGS.filter(Boolean))]; }
 
-  // Stubs for compatibility
-  function setDailySlots() { return { tag: 'casa', label: 'Casa Amor', emoji: '🏠' }; }
-  function getRotatingSlot() { return { tag: 'casa', label: 'Casa Amor', emoji: '🏠' }; }
 
   function calculateScore(board) {
     const cellScores = [];
@@ -114,32 +404,20 @@ const Scoring = (() => {
 
       if (!c) { cellScores.push(cell); continue; }
 
-      // Slot match (WILD = 0)
-      if (!cell.isWild && cell.isValid) {
-        cell.slotPoints = SLOT_MATCH_PTS;
+      // Slot match (WILD = 0), or the profile's penalty for a mismatch
+      if (!cell.isWild) {
+        cell.slotPoints = cell.isValid ? profile.slotMatch : -profile.invalidPenalty;
       }
 
       // Rarity
-      cell.rarityPoints = RARITY_BASE[c.stars] || 0;
+      cell.rarityPoints = rarityPoints(c.stars);
 
       // Connections
       for (const ni of ADJACENCY[i]) {
         const nc = board[ni];
         if (!nc) continue;
 
-        const conn = { neighborIndex: ni, neighborName: nc.name, points: 0, types: [] };
-        const sameCountry = c.show === nc.show;
-        const sameSeason = c.seasonNum === nc.seasonNum;
-        const isCouple = (c.couple && c.couple === nc.name) || (nc.couple && nc.couple === c.name);
-
-        if (sameCountry && sameSeason) {
-          conn.points += COUNTRY_MATCH_PTS + SEASON_MATCH_PTS + COUNTRY_SEASON_COMBO;
-          conn.types.push('combo');
-        } else {
-          if (sameCountry) { conn.points += COUNTRY_MATCH_PTS; conn.types.push('country'); }
-          if (sameSeason) { conn.points += SEASON_MATCH_PTS; conn.types.push('season'); }
-        }
-        if (isCouple) { conn.points += COUPLE_BONUS_PTS; conn.types.push('couple'); }
+        const conn = { neighborIndex: ni, neighborName: nc.name, ...connect(c, nc) };
 
         if (conn.points > 0) {
           cell.connectionPoints += conn.points;
@@ -154,7 +432,9 @@ const Scoring = (() => {
     const totalSlot = cellScores.reduce((s, c) => s + c.slotPoints, 0);
     const totalRarity = cellScores.reduce((s, c) => s + c.rarityPoints, 0);
     const totalConnections = cellScores.reduce((s, c) => s + c.connectionPoints, 0);
-    const total = totalSlot + totalRarity + totalConnections;
+    const allValid = board.every((c, i) => c && isValidPlacement(c, i));
+    const gridBonus = allValid ? profile.perfectBonus : 0;
+    const total = totalSlot + totalRarity + totalConnections + gridBonus;
 
     // Couple edges (deduplicated)
     const coupleEdges = [];
@@ -165,7 +445,7 @@ const Scoring = (() => {
           const key = Math.min(cs.index, conn.neighborIndex) + '-' + Math.max(cs.index, conn.neighborIndex);
           if (!counted.has(key)) {
             counted.add(key);
-            coupleEdges.push({ index1: cs.index, index2: conn.neighborIndex });
+            coupleEdges.push({ index1: cs.index, index2: conn.neighborIndex, partner: conn.partner });
           }
         }
       }
@@ -173,69 +453,326 @@ const Scoring = (() => {
 
     return {
       total, totalSlot, totalRarity, totalConnections,
-      gridBonus: 0, allFilled: board.every(c => c !== null),
-      allValid: board.every((c, i) => c && isValidPlacement(c, i)),
+      gridBonus, allFilled: board.every(c => c !== null), allValid,
       cellScores, coupleEdges, edgeCount: EDGES.length,
     };
   }
 
-  // ═══ OPTIMAL SCORE (brute-force 9! permutations) ═══
+  // ═══ OPTIMAL ARRANGEMENT (branch and bound) ═══
+  //
+  // Score = rarity (placement-independent) + per-slot points + 2× edge points,
+  // so the best board is a quadratic assignment of cards to slots. Slots are
+  // filled in a connectivity-first order and a branch is cut as soon as its
+  // optimistic bound can't beat the best board found so far (seeded by a
+  // swap-search hill climb). Results are memoised per drafted set.
+
+  // Points one side of an edge earns (the edge is worth twice this)
+  function _edgePoints(ca, cb) {
+    return connect(ca, cb).points;
+  }
+
+  function _slotPoints(c, slotIndex) {
+    const tag = SLOT_TAGS[slotIndex];
+    if (tag === null) return 0;
+    return c.tags.includes(tag) ? profile.slotMatch : -profile.invalidPenalty;
+  }
 
   function _fastScore(board) {
-    let total = 0;
-    for (let i = 0; i < 9; i++) {
-      const c = board[i]; if (!c) continue;
-      const tag = SLOT_TAGS[i];
-      if (tag !== null && c.tags.includes(tag)) total += SLOT_MATCH_PTS;
-      total += RARITY_BASE[c.stars] || 0;
+    let total = 0, perfect = true;
+    for (let i = 0; i < NUM_SLOTS; i++) {
+      const c = board[i];
+      if (!c) { perfect = false; continue; }
+      total += _slotPoints(c, i) + rarityPoints(c.stars);
+      if (!isValidPlacement(c, i)) perfect = false;
     }
+    if (perfect) total += profile.perfectBonus;
     for (const [a, b] of EDGES) {
       const ca = board[a], cb = board[b];
-      if (!ca || !cb) continue;
-      const sc = ca.show === cb.show, ss = ca.seasonNum === cb.seasonNum;
-      let e = 0;
-      if (sc && ss) e = COUNTRY_MATCH_PTS + SEASON_MATCH_PTS + COUNTRY_SEASON_COMBO;
-      else { if (sc) e += COUNTRY_MATCH_PTS; if (ss) e += SEASON_MATCH_PTS; }
-      if ((ca.couple && ca.couple === cb.name) || (cb.couple && cb.couple === ca.name)) e += COUPLE_BONUS_PTS;
-      total += e * 2;
+      if (ca && cb) total += _edgePoints(ca, cb) * 2;
     }
     return total;
   }
 
-  function calculateOptimal(cards, currentScore) {
-    if (!cards || cards.length !== 9) return { optimalScore: currentScore || 0, percentage: 100 };
-
-    const board = [...cards];
+  // Hill-climb over pairwise swaps until no swap improves the score
+  function _swapSearch(board) {
     let bestScore = _fastScore(board);
+    let improved = true;
+    while (improved) {
+      improved = false;
+      for (let a = 0; a < board.length - 1; a++) {
+        for (let b = a + 1; b < board.length; b++) {
+          [board[a], board[b]] = [board[b], board[a]];
+          const score = _fastScore(board);
+          if (score > bestScore) { bestScore = score; improved = true; }
+          else [board[a], board[b]] = [board[b], board[a]];
+        }
+      }
+    }
+    return bestScore;
+  }
 
-    const c = new Array(9).fill(0);
-    let i = 1;
-    while (i < 9) {
-      if (c[i] < i) {
-        if (i % 2 === 0) [board[0], board[i]] = [board[i], board[0]];
-        else [board[c[i]], board[i]] = [board[i], board[c[i]]];
-        const score = _fastScore(board);
-        if (score > bestScore) bestScore = score;
-        c[i]++;
-        i = 1;
-      } else {
-        c[i] = 0;
-        i++;
+  // Fill order: best-connected slot first, then whichever slot has the most
+  // already-ordered neighbours, so edge points become exact as early as possible
+  function _slotOrder() {
+    const order = [];
+    const placed = new Array(NUM_SLOTS).fill(false);
+    while (order.length < NUM_SLOTS) {
+      let best = -1, bestKey = -1;
+      for (let s = 0; s < NUM_SLOTS; s++) {
+        if (placed[s]) continue;
+        const linked = ADJACENCY[s].filter(n => placed[n]).length;
+        const key = linked * 100 + ADJACENCY[s].length;
+        if (key > bestKey) { bestKey = key; best = s; }
       }
+      placed[best] = true;
+      order.push(best);
     }
+    return order;
+  }
 
+  // Maximum-weight perfect matching on a k×k row-major matrix (Hungarian method)
+  function _bestMatching(value, k) {
+    if (k === 0) return 0;
+    let top = 0;
+    for (let i = 0; i < k * k; i++) if (value[i] > top) top = value[i];
+    // Work on costs (top - value) so the classic minimising form applies
+    const u = new Float64Array(k + 1), v = new Float64Array(k + 1);
+    const p = new Int32Array(k + 1), way = new Int32Array(k + 1);
+    const minv = new Float64Array(k + 1);
+    const done = new Uint8Array(k + 1);
+    for (let i = 1; i <= k; i++) {
+      p[0] = i;
+      let j0 = 0;
+      minv.fill(Infinity);
+      done.fill(0);
+      do {
+        done[j0] = 1;
+        const i0 = p[j0], rowStart = (i0 - 1) * k - 1;
+        let delta = Infinity, j1 = 0;
+        for (let j = 1; j <= k; j++) {
+          if (done[j]) continue;
+          const cur = top - value[rowStart + j] - u[i0] - v[j];
+          if (cur < minv[j]) { minv[j] = cur; way[j] = j0; }
+          if (minv[j] < delta) { delta = minv[j]; j1 = j; }
+        }
+        for (let j = 0; j <= k; j++) {
+          if (done[j]) { u[p[j]] += delta; v[j] -= delta; }
+          else minv[j] -= delta;
+        }
+        j0 = j1;
+      } while (p[j0] !== 0);
+      do {
+        const j1 = way[j0];
+        p[j0] = p[j1];
+        j0 = j1;
+      } while (j0);
+    }
+    let total = 0;
+    for (let j = 1; j <= k; j++) total += value[(p[j] - 1) * k + j - 1];
+    return total;
+  }
+
+  // groups: one array of candidate cards per slot's worth of picks. Exactly
+  // one card is taken from each group; a drafted card is a group of one.
+  // With a node budget the search may stop early, returning the best board
+  // found so far with exact: false.
+  function _solve(groups, maxNodes = Infinity) {
+    const cards = [], groupOf = [];
+    groups.forEach((g, gi) => g.forEach(c => { cards.push(c); groupOf.push(gi); }));
+    const n = cards.length, G = groups.length;
+    const U = cards.map(c => Array.from({ length: NUM_SLOTS }, (_, s) =>
+      _slotPoints(c, s) + rarityPoints(c.stars)));
+    const W = cards.map((a, i) => cards.map((b, j) => (groupOf[i] === groupOf[j] ? 0 : _edgePoints(a, b) * 2)));
+    // Where each card fits, for the profile's perfect-board bonus
+    const fits = cards.map(c => Array.from({ length: NUM_SLOTS }, (_, s) => isValidPlacement(c, s)));
+    const bonus = profile.perfectBonus;
+    const order = _slotOrder();
+    // Rarity is the same wherever a card goes; when ordering moves only its
+    // shortfall against the group's rarest option matters
+    const groupRarity = groups.map(g => Math.max(...g.map(c => rarityPoints(c.stars))));
+    const rarityGap = cards.map((c, i) => groupRarity[groupOf[i]] - rarityPoints(c.stars));
+
+    // Incumbent from a hill climb (swapping slots, then swapping in other
+    // options of the same group), so pruning bites from the first branch
+    const pick = groups.map(g => g.reduce((best, c) =>
+      (rarityPoints(c.stars) > rarityPoints(best.stars) ? c : best)));
+    let bestScore = _swapSearch(pick);
+    for (let improved = true; improved; ) {
+      improved = false;
+      for (let s = 0; s < NUM_SLOTS; s++) {
+        const g = groups[groupOf[cards.indexOf(pick[s])]];
+        for (const alt of g) {
+          if (alt === pick[s]) continue;
+          const prev = pick[s];
+          pick[s] = alt;
+          const score = _fastScore(pick);
+          if (score > bestScore) { bestScore = _swapSearch(pick); improved = true; }
+          else pick[s] = prev;
+        }
+      }
+    }
+    let bestAssign = pick.map(c => cards.indexOf(c));  // slot -> card
+
+    const assign = new Array(NUM_SLOTS).fill(-1);
+    const usedGroup = new Array(G).fill(false);
+
+    // Drafted cards that score identically everywhere are interchangeable:
+    // place each such group in index order so equivalent boards are only
+    // searched once
+    const single = groups.map(g => g.length === 1);
+    const twinOf = cards.map((_, c) => {
+      if (!single[groupOf[c]]) return -1;
+      for (let d = c - 1; d >= 0; d--) {
+        if (single[groupOf[d]] && U[c].every((v, s) => v === U[d][s] && fits[c][s] === fits[d][s]) &&
+            W[c].every((v, x) => x === c || x === d || v === W[d][x])) return d;
+      }
+      return -1;
+    });
+
+    // Each card's best edge into every other group, and those groups best first
+    const groupEdge = cards.map((_, c) => Array.from({ length: G }, (_, h) =>
+      h === groupOf[c] ? 0 : Math.max(...groups[h].map(d => W[c][cards.indexOf(d)]))));
+    const partners = cards.map((_, c) =>
+      Array.from({ length: G }, (_, h) => h).filter(h => h !== groupOf[c])
+        .sort((x, y) => groupEdge[c][y] - groupEdge[c][x]));
+
+    // Optimistic value of everything not yet fixed. Each free card is valued
+    // at each free slot as: slot + rarity points, edges to placed neighbours,
+    // and half of its best possible edges to its free neighbours. A group
+    // takes its best card per slot, and the best one-to-one matching of groups
+    // to slots bounds any real completion.
+    const value = new Float64Array(NUM_SLOTS * NUM_SLOTS);
+    const open = new Int32Array(NUM_SLOTS);
+    const shared = new Float64Array(NUM_SLOTS + 1);
+    function bound(depth) {
+      const k = NUM_SLOTS - depth;
+      let maxOpen = 0;
+      for (let j = 0; j < k; j++) {
+        let count = 0;
+        for (const nb of ADJACENCY[order[depth + j]]) if (assign[nb] < 0) count++;
+        open[j] = count;
+        if (count > maxOpen) maxOpen = count;
+      }
+      let row = -1, lastGroup = -1;
+      for (let c = 0; c < n; c++) {
+        const g = groupOf[c];
+        if (usedGroup[g]) continue;
+        if (g !== lastGroup) {
+          row++; lastGroup = g;
+          value.fill(0, row * k, row * k + k);
+        }
+        // shared[m] = sum of this card's m best edges into free groups
+        let m = 0;
+        for (const h of partners[c]) {
+          if (m === maxOpen) break;
+          if (!usedGroup[h]) { shared[m + 1] = shared[m] + groupEdge[c][h]; m++; }
+        }
+        for (; m < maxOpen; m++) shared[m + 1] = shared[m];
+        for (let j = 0; j < k; j++) {
+          const s = order[depth + j];
+          let v = U[c][s] + shared[open[j]] / 2;
+          for (const nb of ADJACENCY[s]) if (assign[nb] >= 0) v += W[c][assign[nb]];
+          if (v > value[row * k + j]) value[row * k + j] = v;
+        }
+      }
+      return _bestMatching(value, k);
+    }
+
+    // `perfect` = every card placed so far fits its slot, so the bonus is still open
+    let nodes = 0;
+    function search(depth, score, perfect) {
+      if (++nodes > maxNodes) return;
+      if (depth === NUM_SLOTS) {
+        if (perfect) score += bonus;
+        if (score > bestScore) { bestScore = score; bestAssign = [...assign]; }
+        return;
+      }
+      if (score + bound(depth) + (perfect ? bonus : 0) <= bestScore) return;
+
+      const s = order[depth];
+      // Try the cards that gain most here first
+      const gains = [];
+      for (let c = 0; c < n; c++) {
+        if (usedGroup[groupOf[c]] || (twinOf[c] >= 0 && !usedGroup[groupOf[twinOf[c]]])) continue;
+        let gain = U[c][s];
+        for (const nb of ADJACENCY[s]) if (assign[nb] >= 0) gain += W[c][assign[nb]];
+        gains.push([gain, c, gain - rarityPoints(cards[c].stars) - rarityGap[c]]);
+      }
+      gains.sort((x, y) => y[2] - x[2]);
+
+      for (const [gain, c] of gains) {
+        assign[s] = c; usedGroup[groupOf[c]] = true;
+        search(depth + 1, score + gain, perfect && fits[c][s]);
+        assign[s] = -1; usedGroup[groupOf[c]] = false;
+      }
+    }
+
+    search(0, 0, true);
+    return { score: bestScore, board: bestAssign.map(c => cards[c]), exact: nodes <= maxNodes };
+  }
+
+  const optimalCache = new Map();
+  const OPTIMAL_CACHE_SIZE = 64;
+
+  function _cardKey(c) { return (c.id || c.name) + '*' + c.stars; }
+
+  // Memoised _solve: same layout, same daily slots, same profile, same
+  // connection rules and same candidate groups (in any order) give the same answer
+  function _solveCached(groups, maxNodes) {
+    const groupKeys = groups.map(g => g.map(_cardKey).sort().join('/')).sort();
+    const key = layout.id + '|' + SLOT_TAGS.join(',') + '|' + profile.id + '|' + activeRules.map(rule => rule.id).join(',') + '|' + groupKeys.join(',');
+    let solved = optimalCache.get(key);
+    // A budget-limited answer is only reused if this call's budget is no bigger
+    if (!solved || (!solved.exact && (maxNodes || Infinity) > solved.maxNodes)) {
+      const result = _solve(groups, maxNodes);
+      // Store keys, not card objects, so callers' copies map back onto the board
+      solved = { score: result.score, keys: result.board.map(_cardKey), exact: result.exact, maxNodes };
+      if (optimalCache.size >= OPTIMAL_CACHE_SIZE) optimalCache.delete(optimalCache.keys().next().value);
+      optimalCache.set(key, solved);
+    }
+    const byKey = new Map();
+    for (const g of groups) for (const c of g) byKey.set(_cardKey(c), c);
+    return { score: solved.score, board: solved.keys.map(k => byKey.get(k)), exact: solved.exact };
+  }
+
+  function calculateOptimal(cards, currentScore) {
+    if (!cards || cards.length !== NUM_SLOTS || cards.some(c => !c)) {
+      return { optimalScore: currentScore || 0, percentage: 100, board: null };
+    }
+
+    const { score: bestScore, board } = _solveCached(cards.map(c => [c]));
     const percentage = bestScore > 0 ? Math.round((currentScore / bestScore) * 100) : 100;
-    return { optimalScore: bestScore, percentage };
+    return { optimalScore: bestScore, percentage, board };
+  }
+
+  /**
+   * Best final score over every way of finishing the draft: `groups` holds
+   * one array of candidates per round (just the pick for rounds already
+   * drafted). Returns that score, the board that reaches it, and whether it
+   * is proven (exact) or the best found within `maxNodes` search nodes.
+   */
+  function calculateBestReachable(groups, maxNodes) {
+    if (!groups || groups.length !== NUM_SLOTS || groups.some(g => !g || !g.length)) {
+      return { score: 0, board: null, exact: true };
+    }
+    return _solveCached(groups, maxNodes);
   }
 
   return {
-    NUM_SLOTS, EDGES, ADJACENCY,
-    SLOT_TAGS, SLOT_LABELS, DISPLAY_TAGS,
-    SLOT_MATCH_PTS, COUNTRY_MATCH_PTS, SEASON_MATCH_PTS,
-    COUNTRY_SEASON_COMBO, COUPLE_BONUS_PTS, RARITY_BASE,
-    setDailySlots, getSlotLabels, getRotatingSlot, getDisplayTags,
-    isValidPlacement, isWildSlot, getNeighbors,
-    calculateScore, calculateOptimal,
+    // Layout-derived values change with setLayout(), so expose them live
+    get NUM_SLOTS() { return NUM_SLOTS; },
+    get EDGES() { return EDGES; },
+    get ADJACENCY() { return ADJACENCY; },
+    get SLOT_TAGS() { return SLOT_TAGS; },
+    get SLOT_LABELS() { return SLOT_LABELS; },
+    TAG_INFO,
+    PARTNER_TYPES, CONNECTION_RULES, PROFILES,
+    setProfile, getProfile, getProfiles, rarityPoints, partnerPoints,
+    registerLayouts, setLayout, getLayout, getLayouts,
+    setDailySlots, getDailyKey, getSlotLabels, getRotatingSlot, getRotatingSlots, getDisplayTags,
+    isValidPlacement, isWildSlot, getNeighbors, partnerType,
+    getConnectionRules, connect, edgeStyle,
+    calculateScore, calculateOptimal, calculateBestReachable,
   };
 
 })();
@@ -0,0 +1,180 @@
+/**
+ * RECOUPLE v2 — Share Card
+ * =========================
+ * Renders a finished board to a PNG: the layout's nodes with each
+ * contestant's initials and avatar colours, couple and combo edges lit,
+ * plus score, % optimal and date. share() hands the image to the Web
+ * Share API when it accepts files, and downloads it otherwise.
+ */
+
+const ShareCard = (() => {
+
+  const WIDTH = 1080;
+  const HEIGHT = 1350;
+  const BOARD = { x: 110, y: 300, w: 860, h: 720 };
+  const NODE_R = 62;
+  const FONT = "-apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif";
+
+  const COLORS = {
+    bg: ['#0f0c29', '#1a0533', '#302b63'],
+    text: '#f5f0ff', dim: 'rgba(245,240,255,0.55)',
+    edge: 'rgba(255,255,255,0.12)', match: '#2ed573', combo: '#ffd700', couple: '#ff6b9d',
+    empty: 'rgba(255,255,255,0.06)'
+  };
+  const STAR_COLORS = { 1: '#cd7f32', 2: '#c0c0c0', 3: '#ffd700', 4: '#b9f2ff' };
+
+  // Scoring edges keyed 'a-b', with the strongest kind of link on each
+  function edgeKinds(score) {
+    const kinds = new Map();
+    for (const cs of score.cellScores) {
+      for (const conn of cs.connections) {
+        const kind = Scoring.edgeStyle(conn.types) || 'match';
+        kinds.set(Math.min(cs.index, conn.neighborIndex) + '-' + Math.max(cs.index, conn.neighborIndex), kind);
+      }
+    }
+    return kinds;
+  }
+
+  function nodePos(slot) {
+    return { x: BOARD.x + slot.x / 100 * BOARD.w, y: BOARD.y + slot.y / 100 * BOARD.h + NODE_R };
+  }
+
+  function drawBackground(ctx) {
+    const g = ctx.createLinearGradient(0, 0, WIDTH * 0.6, HEIGHT);
+    COLORS.bg.forEach((c, i) => g.addColorStop(i / (COLORS.bg.length - 1), c));
+    ctx.fillStyle = g;
+    ctx.fillRect(0, 0, WIDTH, HEIGHT);
+  }
+
+  function drawHeader(ctx, { title, subtitle }) {
+    ctx.textAlign = 'center';
+    const g = ctx.createLinearGradient(WIDTH / 2 - 220, 0, WIDTH / 2 + 220, 0);
+    g.addColorStop(0, '#f093fb');
+    g.addColorStop(0.5, '#ff6b9d');
+    g.addColorStop(1, '#ffd700');
+    ctx.fillStyle = g;
+    ctx.font = `800 96px ${FONT}`;
+    ctx.fillText(title, WIDTH / 2, 140);
+    ctx.fillStyle = COLORS.dim;
+    ctx.font = `600 40px ${FONT}`;
+    ctx.fillText(subtitle, WIDTH / 2, 210);
+  }
+
+  function drawBoard(ctx, layout, board, score, getAvatarColor, getInitials) {
+    const kinds = edgeKinds(score);
+    const pos = layout.slots.map(nodePos);
+
+    // Plain edges first so the lit ones sit on top
+    const edges = layout.edges.map(([a, b]) => ({ a, b, kind: kinds.get(Math.min(a, b) + '-' + Math.max(a, b)) }));
+    edges.sort((x, y) => (x.kind ? 1 : 0) - (y.kind ? 1 : 0));
+    ctx.lineCap = 'round';
+    for (const { a, b, kind } of edges) {
+      ctx.strokeStyle = kind ? COLORS[kind] : COLORS.edge;
+      ctx.lineWidth = kind === 'couple' ? 12 : kind === 'combo' ? 10 : kind ? 6 : 4;
+      ctx.shadowColor = kind === 'couple' || kind === 'combo' ? COLORS[kind] : 'transparent';
+      ctx.shadowBlur = kind === 'couple' || kind === 'combo' ? 18 : 0;
+      ctx.beginPath();
+      ctx.moveTo(pos[a].x, pos[a].y);
+      ctx.lineTo(pos[b].x, pos[b].y);
+      ctx.stroke();
+    }
+    ctx.shadowBlur = 0;
+
+    board.forEach((c, i) => {
+      const { x, y } = pos[i];
+      ctx.beginPath();
+      ctx.arc(x, y, NODE_R, 0, Math.PI * 2);
+      if (!c) {
+        ctx.fillStyle = COLORS.empty;
+        ctx.fill();
+        return;
+      }
+      const [c1, c2] = getAvatarColor(c.name);
+      const g = ctx.createLinearGradient(x - NODE_R, y - NODE_R, x + NODE_R, y + NODE_R);
+      g.addColorStop(0, c1);
+      g.addColorStop(1, c2);
+      ctx.fillStyle = g;
+      ctx.fill();
+      ctx.lineWidth = 7;
+      ctx.strokeStyle = STAR_COLORS[c.stars] || COLORS.text;
+      ctx.stroke();
+
+      ctx.fillStyle = '#fff';
+      ctx.textAlign = 'center';
+      ctx.font = `800 46px ${FONT}`;
+      ctx.fillText(getInitials(c.name), x, y + 16);
+      ctx.fillStyle = STAR_COLORS[c.stars] || COLORS.text;
+      ctx.font = `700 26px ${FONT}`;
+      ctx.fillText('★'.repeat(c.stars), x, y + NODE_R + 34);
+    });
+  }
+
+  function drawFooter(ctx, { total, percentage, couples }) {
+    ctx.textAlign = 'center';
+    ctx.fillStyle = COLORS.text;
+    ctx.font = `800 120px ${FONT}`;
+    ctx.fillText(`${total} pts`, WIDTH / 2, HEIGHT - 150);
+    ctx.fillStyle = percentage === 100 ? COLORS.combo : COLORS.match;
+    ctx.font = `700 44px ${FONT}`;
+    const extras = couples ? ` · ${couples} 💕` : '';
+    ctx.fillText(`${percentage}% optimal${extras}`, WIDTH / 2, HEIGHT - 80);
+  }
+
+  /**
+   * Draw a card onto a new canvas.
+   * data = { title, subtitle, layout, board, score, percentage, getAvatarColor, getInitials }
+   * where score is Scoring.calculateScore(board) under the board's layout.
+   */
+  function render(data) {
+    const canvas = document.createElement('canvas');
+    canvas.width = WIDTH;
+    canvas.height = HEIGHT;
+    const ctx = canvas.getContext('2d');
+    drawBackground(ctx);
+    drawHeader(ctx, data);
+    drawBoard(ctx, data.layout, data.board, data.score, data.getAvatarColor, data.getInitials);
+    drawFooter(ctx, { total: data.score.total, percentage: data.percentage, couples: data.score.coupleEdges.length });
+    return canvas;
+  }
+
+  function toBlob(canvas) {
+    return new Promise((resolve, reject) => {
+      canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Could not render share card')), 'image/png');
+    });
+  }
+
+  function download(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  /**
+   * Render and send a card. Resolves to 'shared', 'downloaded', or null
+   * when the share sheet was dismissed.
+   */
+  async function share(data, { filename = 'recouple.png', text = '' } = {}) {
+    const blob = await toBlob(render(data));
+    const file = typeof File !== 'undefined' ? new File([blob], filename, { type: 'image/png' }) : null;
+    if (file && navigator.canShare && navigator.canShare({ files: [file] })) {
+      try {
+        await navigator.share({ files: [file], title: data.title, text });
+        return 'shared';
+      } catch(e) {
+        if (e.name === 'AbortError') return null;
+      }
+    }
+    download(blob, filename);
+    return 'downloaded';
+  }
+
+  return { render, toBlob, share };
+
+})();
+
+if (typeof module !== 'undefined' && module.exports) module.exports = ShareCard;
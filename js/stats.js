@@ -0,0 +1,113 @@
+/**
+ * RECOUPLE v2 — Stats
+ * ====================
+ * Aggregates for the stats dashboard, computed from game history records
+ * (see js/history.js). Pure functions: no storage or DOM access here.
+ */
+
+const Stats = (() => {
+
+  const SCORE_BIN = 10;
+  const PCT_BINS = [
+    { label: '<60', min: 0, max: 59 },
+    { label: '60s', min: 60, max: 69 },
+    { label: '70s', min: 70, max: 79 },
+    { label: '80s', min: 80, max: 89 },
+    { label: '90s', min: 90, max: 99 },
+    { label: '100', min: 100, max: 100 }
+  ];
+  const ROLLING_DAYS = 7;
+  const TOP_DRAFTED = 5;
+
+  function average(values) {
+    return values.length ? Math.round(values.reduce((a, b) => a + b, 0) / values.length * 10) / 10 : 0;
+  }
+
+  // Fixed-width bins from the lowest to the highest score
+  function scoreHistogram(scores) {
+    if (!scores.length) return [];
+    const lo = Math.floor(Math.min(...scores) / SCORE_BIN) * SCORE_BIN;
+    const hi = Math.floor(Math.max(...scores) / SCORE_BIN) * SCORE_BIN;
+    const bins = [];
+    for (let start = lo; start <= hi; start += SCORE_BIN) {
+      bins.push({ label: String(start), value: scores.filter(s => s >= start && s < start + SCORE_BIN).length });
+    }
+    return bins;
+  }
+
+  function percentageHistogram(percentages) {
+    return PCT_BINS.map(b => ({
+      label: b.label,
+      value: percentages.filter(p => p >= b.min && p <= b.max).length
+    }));
+  }
+
+  // Average per played day, plus a trailing average over the last ROLLING_DAYS days
+  function trend(games) {
+    const byDate = new Map();
+    for (const g of games) {
+      if (!byDate.has(g.date)) byDate.set(g.date, []);
+      byDate.get(g.date).push(g.breakdown.total);
+    }
+    const days = [...byDate.keys()].sort().map(date => ({
+      date, day: Storage.dayNumber(date), scores: byDate.get(date), average: average(byDate.get(date))
+    }));
+    return days.map(d => {
+      const window = days.filter(o => o.day > d.day - ROLLING_DAYS && o.day <= d.day);
+      return {
+        date: d.date, average: d.average,
+        rolling: average(window.flatMap(o => o.scores))
+      };
+    });
+  }
+
+  function byGameNumber(games) {
+    return [1, 2, 3].map(n => {
+      const scores = games.filter(g => g.gameNumber === n).map(g => g.breakdown.total);
+      return { gameNumber: n, count: scores.length, average: average(scores) };
+    });
+  }
+
+  // Average points per game from each source
+  function sources(games) {
+    const keys = ['slots', 'rarity', 'connections', 'couples'];
+    const out = {};
+    for (const k of keys) out[k] = average(games.map(g => g.breakdown[k] || 0));
+    return out;
+  }
+
+  function mostDrafted(games) {
+    const counts = new Map();
+    for (const g of games) {
+      for (const c of g.drafted) {
+        const entry = counts.get(c.id) || { id: c.id, name: c.name, stars: c.stars, count: 0 };
+        entry.count++;
+        counts.set(c.id, entry);
+      }
+    }
+    return [...counts.values()]
+      .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name))
+      .slice(0, TOP_DRAFTED);
+  }
+
+  function summarize(games) {
+    const scores = games.map(g => g.breakdown.total);
+    const percentages = games.map(g => g.percentage);
+    return {
+      count: games.length,
+      averageScore: average(scores),
+      averagePercentage: average(percentages),
+      scoreHistogram: scoreHistogram(scores),
+      percentageHistogram: percentageHistogram(percentages),
+      trend: trend(games),
+      byGameNumber: byGameNumber(games),
+      sources: sources(games),
+      mostDrafted: mostDrafted(games)
+    };
+  }
+
+  return { summarize, scoreHistogram, percentageHistogram, trend, byGameNumber, sources, mostDrafted };
+
+})();
+
+if (typeof module !== 'undefined' && module.exports) module.exports = Stats;
@@ -1,7 +1,9 @@
 /**
  * RECOUPLE v2 — Storage Module
  * =============================
- * localStorage with safe fallbacks. Adapted for 9-card Griddy board.
+ * localStorage with safe fallbacks. Board shape comes from the active layout.
+ * Puzzle days are local calendar dates (YYYY-MM-DD), rolling over at the
+ * player's midnight; streaks count days with at least one finished game.
  */
 
 const Storage = (() => {
@@ -20,19 +22,90 @@ const Storage = (() => {
   function _remove(key) {
     try { localStorage.removeItem(_key(key)); } catch(e) {}
   }
+  // Every stored name, without the prefix
+  function _names() {
+    const names = [];
+    try {
+      for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        if (key && key.startsWith(PREFIX)) names.push(key.slice(PREFIX.length));
+      }
+    } catch(e) {}
+    return names;
+  }
+
+  // ─── Dates ───
+  function dateStr(d) {
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+  }
+
+  function todayStr() { return dateStr(new Date()); }
+
+  // Local midnight at the start of a YYYY-MM-DD day (never parsed as UTC)
+  function parseDate(date) {
+    const [y, m, d] = date.split('-').map(Number);
+    return new Date(y, m - 1, d);
+  }
 
-  function todayStr() {
-    return new Date().toISOString().split('T')[0];
+  // Whole days since the epoch, so two dates differ by exactly 1 a day apart
+  function dayNumber(date) {
+    const [y, m, d] = date.split('-').map(Number);
+    return Math.round(Date.UTC(y, m - 1, d) / 86400000);
+  }
+
+  function msUntilNextDay(now = new Date()) {
+    return new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1) - now;
   }
 
   // ─── Game State ───
-  function saveGameState(state) { return _set('game_state', state); }
-  function loadGameState() { return _get('game_state'); }
-  function clearGameState() { _remove('game_state'); }
+  // One save slot per daily game, one each for practice and challenges and
+  // one per unfinished archive game, plus a pointer to the one last played.
+  // Slots are a game number, 'practice', 'challenge' or 'archive_<date>_<n>'.
+  function slotOf(state) {
+    if (state.mode === 'practice' || state.mode === 'challenge') return state.mode;
+    if (state.mode === 'archive') return `archive_${state.date}_${state.gameNumber}`;
+    return state.gameNumber;
+  }
+
+  function saveGameState(state) {
+    const slot = slotOf(state);
+    _set('active_game', { date: state.date, slot });
+    return _set('game_state_' + slot, state);
+  }
+
+  // A save that doesn't fit the schema is quarantined rather than resumed
+  function loadGameState(slot) {
+    const saved = _get('game_state_' + slot);
+    if (!saved) return null;
+    const problem = Schema.checkGameState(saved);
+    if (problem) {
+      const entry = quarantine('game_state_' + slot, problem);
+      if (onQuarantine) onQuarantine([entry]);
+      return null;
+    }
+    return saved;
+  }
+
+  function clearGameState(slot) { _remove('game_state_' + slot); }
+
+  function getActiveGame() { return _get('active_game'); }
+
+  // ─── Settings ───
+  function getSettings() {
+    return { layout: 'diamond', profile: 'classic', ...(_get('settings') || {}) };
+  }
+
+  function saveSettings(settings) { return _set('settings', settings); }
 
   // ─── Daily Progress ───
-  function getDailyProgress(date) {
-    const key = 'daily_' + (date || todayStr());
+  // Archive plays of a past date are kept under archive_<date>, apart from
+  // the results that count for the live daily streak.
+  function progressKey(date, mode) {
+    return (mode === 'archive' ? 'archive_' : 'daily_') + date;
+  }
+
+  function getDailyProgress(date, mode = 'daily') {
+    const key = progressKey(date || todayStr(), mode);
     return _get(key) || {
       date: date || todayStr(),
       game1: { completed: false, score: 0, finalBoard: null },
@@ -41,33 +114,50 @@ const Storage = (() => {
     };
   }
 
-  function saveDailyProgress(date, progress) {
-    return _set('daily_' + date, progress);
+  function saveDailyProgress(date, progress, mode = 'daily') {
+    return _set(progressKey(date, mode), progress);
   }
 
-  function completeGame(date, gameNumber, score, finalBoard) {
-    const progress = getDailyProgress(date);
-    progress['game' + gameNumber] = { completed: true, score, finalBoard };
-    saveDailyProgress(date, progress);
+  function completeGame(date, gameNumber, score, finalBoard, layoutId, mode = 'daily', profileId = 'classic', picks = null) {
+    const progress = getDailyProgress(date, mode);
+    progress['game' + gameNumber] = { completed: true, score, finalBoard, layoutId, profileId, picks };
+    saveDailyProgress(date, progress, mode);
     return progress;
   }
 
-  // Testing mode: unlimited replays
-  function getNextGameNumber(date) {
-    const progress = getDailyProgress(date);
+  // Each daily game counts once; null once all three are done
+  function getNextGameNumber(date, mode = 'daily') {
+    const progress = getDailyProgress(date, mode);
     if (!progress.game1.completed) return 1;
     if (!progress.game2.completed) return 2;
     if (!progress.game3.completed) return 3;
-    return 1; // cycle back for testing
+    return null;
   }
 
   // ─── Statistics ───
-  function getStats() {
-    return _get('stats') || {
+  // Practice, archive and challenge games keep their own totals and never touch the daily streak
+  function getStats(mode = 'daily') {
+    if (mode !== 'daily') {
+      return _get(mode + '_stats') || {
+        gamesPlayed: 0, totalScore: 0, averageScore: 0, bestScore: 0, perfectGrids: 0
+      };
+    }
+    return applyStreaks(_get('stats') || {
       gamesPlayed: 0, totalScore: 0, averageScore: 0,
       bestScore: 0, currentStreak: 0, longestStreak: 0,
-      perfectGrids: 0, lastPlayedDate: null
-    };
+      perfectGrids: 0, lastPlayedDate: null, streakDays: 'local'
+    });
+  }
+
+  function updateSideStats(mode, score, isPerfectGrid) {
+    const stats = getStats(mode);
+    stats.gamesPlayed++;
+    stats.totalScore += score;
+    stats.averageScore = Math.round((stats.totalScore / stats.gamesPlayed) * 10) / 10;
+    stats.bestScore = Math.max(stats.bestScore, score);
+    if (isPerfectGrid) stats.perfectGrids++;
+    _set(mode + '_stats', stats);
+    return stats;
   }
 
   function updateStats(score, isPerfectGrid, date) {
@@ -77,47 +167,276 @@ const Storage = (() => {
     stats.averageScore = Math.round((stats.totalScore / stats.gamesPlayed) * 10) / 10;
     stats.bestScore = Math.max(stats.bestScore, score);
     if (isPerfectGrid) stats.perfectGrids++;
+    stats.lastPlayedDate = date || todayStr();
 
-    const today = date || todayStr();
-    if (stats.lastPlayedDate) {
-      const diff = Math.floor((new Date(today) - new Date(stats.lastPlayedDate)) / 86400000);
-      if (diff === 1) stats.currentStreak++;
-      else if (diff > 1) stats.currentStreak = 1;
-    } else {
-      stats.currentStreak = 1;
+    _set('stats', applyStreaks(stats));
+    return stats;
+  }
+
+  // ─── Streaks ───
+  // Days with at least one finished daily game, oldest first
+  function playedDays() {
+    const days = [];
+    for (const name of _names()) {
+      if (!name.startsWith('daily_')) continue;
+      const progress = _get(name);
+      if (progress && [1, 2, 3].some(g => progress['game' + g]?.completed)) days.push(name.slice(6));
     }
-    stats.longestStreak = Math.max(stats.longestStreak, stats.currentStreak);
-    stats.lastPlayedDate = today;
+    return days.sort();
+  }
 
-    _set('stats', stats);
+  // The current streak is still alive until a whole day goes unplayed
+  function computeStreaks(today = todayStr()) {
+    let longest = 0, run = 0, prev = null;
+    for (const day of playedDays().map(dayNumber)) {
+      run = prev !== null && day === prev + 1 ? run + 1 : 1;
+      longest = Math.max(longest, run);
+      prev = day;
+    }
+    const current = prev !== null && dayNumber(today) - prev <= 1 ? run : 0;
+    return { current, longest };
+  }
+
+  function applyStreaks(stats) {
+    const streaks = computeStreaks();
+    stats.currentStreak = streaks.current;
+    stats.longestStreak = Math.max(stats.longestStreak || 0, streaks.longest);
     return stats;
   }
 
+  // Stats saved before local days counted streaks from UTC-parsed dates at
+  // play time; rebuild them once from the daily records.
+  function migrateStreaks() {
+    const stats = _get('stats');
+    if (!stats || stats.streakDays === 'local') return false;
+    applyStreaks(stats);
+    const days = playedDays();
+    if (days.length) stats.lastPlayedDate = days[days.length - 1];
+    stats.streakDays = 'local';
+    _set('stats', stats);
+    return true;
+  }
+
+  // ─── Backup ───
+  // Everything under the prefix as one versioned object. Imports merge
+  // into what's here: the better result wins per game, unfinished saves
+  // never replace anything, and stats are rebuilt from the merged results.
+  const BACKUP_VERSION = 1;
+  const BACKUP_KEYS = [
+    /^stats$/, /^(practice|archive|challenge)_stats$/, /^(daily|archive)_\d{4}-\d{2}-\d{2}$/,
+    /^game_state(_\w+)?$/, /^active_game$/, /^settings$/
+  ];
+
+  function exportData() {
+    const data = {};
+    for (const name of _names()) {
+      if (BACKUP_KEYS.some(re => re.test(name))) data[name] = _get(name);
+    }
+    return { app: 'recouple', version: BACKUP_VERSION, schema: Schema.VERSION, exportedAt: new Date().toISOString(), data };
+  }
+
+  function _better(a, b) {
+    if (a.completed !== b.completed) return a.completed ? a : b;
+    return b.score > a.score ? b : a;
+  }
+
+  // Per game, the better of the two results; returns the game numbers that came in
+  function _mergeProgress(name, incoming) {
+    const local = _get(name);
+    const merged = { ...(local || incoming) };
+    const taken = [];
+    for (const g of [1, 2, 3]) {
+      const mine = local && local['game' + g];
+      merged['game' + g] = mine ? _better(mine, incoming['game' + g]) : incoming['game' + g];
+      if (merged['game' + g] !== mine) taken.push(g);
+    }
+    _set(name, merged);
+    return taken;
+  }
+
+  // Finished games from every results record under a prefix
+  function _resultTotals(prefix) {
+    let gamesPlayed = 0, totalScore = 0, bestScore = 0;
+    for (const name of _names()) {
+      if (!name.startsWith(prefix)) continue;
+      const progress = _get(name);
+      for (const g of [1, 2, 3]) {
+        const r = progress && progress['game' + g];
+        if (!r || !r.completed) continue;
+        gamesPlayed++;
+        totalScore += r.score;
+        bestScore = Math.max(bestScore, r.score);
+      }
+    }
+    const averageScore = gamesPlayed ? Math.round(totalScore / gamesPlayed * 10) / 10 : 0;
+    return { gamesPlayed, totalScore, averageScore, bestScore };
+  }
+
+  // Perfect boards aren't kept per game, so the larger count of the two stands
+  function _rebuildStats(local, incoming) {
+    const perfectGrids = Math.max(local?.perfectGrids || 0, incoming?.perfectGrids || 0);
+    const days = playedDays();
+    _set('stats', applyStreaks({
+      ...getStats(), ..._resultTotals('daily_'), perfectGrids,
+      longestStreak: Math.max(local?.longestStreak || 0, incoming?.longestStreak || 0),
+      lastPlayedDate: days.length ? days[days.length - 1] : null, streakDays: 'local'
+    }));
+  }
+
+  /**
+   * Validate a backup from exportData() and merge it in. Throws an Error
+   * saying what's wrong when the file can't be used; otherwise returns
+   * { days, keys, skipped } counts.
+   */
+  function importData(backup) {
+    if (!backup || typeof backup !== 'object' || backup.app !== 'recouple' || !backup.data || typeof backup.data !== 'object') {
+      throw new Error("This isn't a Recouple backup");
+    }
+    if (!Number.isInteger(backup.version) || backup.version > BACKUP_VERSION) {
+      throw new Error('This backup is from a newer version of Recouple');
+    }
+
+    const localStats = {};
+    for (const mode of ['stats', 'practice_stats', 'archive_stats', 'challenge_stats']) localStats[mode] = _get(mode);
+    let days = 0, keys = 0, skipped = 0;
+
+    for (const [name, value] of Object.entries(backup.data)) {
+      if (!BACKUP_KEYS.some(re => re.test(name)) || value === null || typeof value !== 'object' || Schema.validate(name, value)) {
+        skipped++;
+        continue;
+      }
+      const local = _get(name);
+
+      if (/^(daily|archive)_/.test(name)) {
+        const date = name.slice(name.indexOf('_') + 1);
+        for (const g of _mergeProgress(name, value)) {
+          // A daily save of a game whose result was just replaced would reopen the old board
+          if (name.startsWith('daily_') && _get('game_state_' + g)?.date === date) clearGameState(g);
+        }
+        days++;
+      } else if (/stats$/.test(name)) {
+        // Daily and archive stats are rebuilt below; the other modes keep whichever has more games
+        if (!local || value.gamesPlayed > local.gamesPlayed) _set(name, { ...value, bestScore: Math.max(value.bestScore, local?.bestScore || 0) });
+      } else if (name.startsWith('game_state')) {
+        // A save only comes in where there is none, or to finish an unfinished one
+        if (!local || (value.phase === 'completed' && local.phase !== 'completed' && value.date === local.date)) _set(name, value);
+      } else if (!local) {
+        _set(name, value);
+      }
+      keys++;
+    }
+
+    _rebuildStats(localStats.stats, backup.data.stats);
+    const archiveStats = _resultTotals('archive_');
+    if (archiveStats.gamesPlayed) {
+      const perfectGrids = Math.max(localStats.archive_stats?.perfectGrids || 0, backup.data.archive_stats?.perfectGrids || 0);
+      _set('archive_stats', { ...archiveStats, perfectGrids });
+    }
+    // Data from an older schema goes through the pending migrations on the next start
+    const schema = Number.isInteger(backup.schema) ? backup.schema : 0;
+    if (schema < Schema.VERSION) _set('schema', { version: Math.min(schema, _get('schema')?.version || 0) });
+    return { days, keys, skipped };
+  }
+
+  // ─── Schema ───
+  // See js/schema.js. Anything that can't be used is moved, raw, into a
+  // capped 'quarantine' list so it can be reported and looked at later.
+  const QUARANTINE_LIMIT = 20;
+
+  // Told about saves set aside during play; startup reports its own from migrate()
+  let onQuarantine = null;
+  function setOnQuarantine(cb) { onQuarantine = cb; }
+
+  function getQuarantine() {
+    const list = _get('quarantine');
+    return Array.isArray(list) ? list : [];
+  }
+
+  function quarantine(name, reason) {
+    let raw = null;
+    try { raw = localStorage.getItem(_key(name)); } catch(e) {}
+    const entry = { key: name, reason, at: new Date().toISOString(), raw };
+    _set('quarantine', getQuarantine().concat(entry).slice(-QUARANTINE_LIMIT));
+    _remove(name);
+    console.warn(`Quarantined saved data "${name}": ${reason}`);
+    return entry;
+  }
+
+  /**
+   * Run at startup, once layouts are registered: pending migrations, then
+   * a check of every key. Returns { from, to, quarantined }. A step that
+   * throws stops the run there, and the stored version stays at the last
+   * step that finished, so the failed one is tried again next start.
+   */
+  function migrate() {
+    const from = _get('schema')?.version || 0;
+    const store = { get: _get, set: _set, remove: _remove, names: _names };
+    let to = from;
+    for (const step of Schema.MIGRATIONS) {
+      if (step.version <= from) continue;
+      try { step.run(store); }
+      catch(e) { console.warn(`Migration ${step.version} (${step.name}) failed:`, e); break; }
+      to = step.version;
+    }
+
+    // Data left in an older shape by a failed step isn't judged by the current one
+    const quarantined = [];
+    for (const name of to === Schema.VERSION ? _names() : []) {
+      if (name === 'quarantine') continue;
+      let value;
+      try { value = JSON.parse(localStorage.getItem(_key(name))); }
+      catch(e) { quarantined.push(quarantine(name, 'unreadable JSON')); continue; }
+      const problem = Schema.validate(name, value);
+      if (problem) quarantined.push(quarantine(name, problem));
+    }
+
+    if (to > from) _set('schema', { version: to });
+    return { from, to, quarantined };
+  }
+
   // ─── Share Results ───
-  function generateShareText(date, gameNumber, score, board, scoreBreakdown) {
-    const d = new Date(date);
-    const dateStr = `${d.getMonth()+1}/${d.getDate()}/${String(d.getFullYear()).slice(2)}`;
+  function generateShareText(date, gameNumber, score, board, scoreBreakdown, mode = 'daily', link = null) {
+    const d = parseDate(date);
+    const shortDate = `${d.getMonth()+1}/${d.getDate()}/${String(d.getFullYear()).slice(2)}`;
+    const title = mode === 'practice' ? 'Recouple Practice 🎲'
+      : mode === 'challenge' ? 'Recouple Challenge 🔗'
+      : mode === 'archive' ? `Recouple ${shortDate} - Game ${gameNumber} 🗓️ (archive)`
+      : `Recouple ${shortDate} - Game ${gameNumber} 🏝️`;
 
-    // Build star layout matching board topology
+    // Build star layout from the active layout's share-grid template
     const s = (i) => board[i] ? '⭐'.repeat(board[i].stars) : '⬛';
-    let starGrid = '';
-    starGrid += `    ${s(0)}  ${s(1)}\n`;
-    starGrid += `  ${s(2)} ${s(3)}  ${s(4)} ${s(5)}\n`;
-    starGrid += `   ${s(6)}  ${s(8)}  ${s(7)}\n`;
+    const layout = Scoring.getLayout();
+    const rows = layout.shareGrid || _defaultShareGrid(board.length);
+    const starGrid = rows.map(row => row.replace(/\{(\d+)\}/g, (m, i) => s(+i))).join('\n') + '\n';
 
     const extras = [];
     if (scoreBreakdown.coupleEdges.length > 0) extras.push(`Couples: ${scoreBreakdown.coupleEdges.length} 💕`);
     if (scoreBreakdown.allValid) extras.push('Perfect Board! 🎉');
 
-    let text = `Recouple ${dateStr} - Game ${gameNumber} 🏝️\nScore: ${score}pts\n${starGrid}`;
+    // Scores under another profile aren't comparable with classic ones
+    const profile = Scoring.getProfile();
+    const scoreLine = profile.id === 'classic' ? `Score: ${score}pts` : `Score: ${score}pts (${profile.name} scoring)`;
+
+    let text = `${title}\n${scoreLine}\n${starGrid}`;
     if (extras.length) text += extras.join(' | ');
+    if (link) text = text.trim() + '\n' + link;
     return text.trim();
   }
 
+  // Rows of three, for layouts that don't define a share grid
+  function _defaultShareGrid(size) {
+    const rows = [];
+    for (let i = 0; i < size; i += 3) {
+      rows.push([i, i + 1, i + 2].filter(n => n < size).map(n => `{${n}}`).join(' '));
+    }
+    return rows;
+  }
+
   return {
-    todayStr, saveGameState, loadGameState, clearGameState,
+    todayStr, dateStr, parseDate, dayNumber, msUntilNextDay, getSettings, saveSettings, saveGameState, loadGameState, clearGameState, getActiveGame,
     getDailyProgress, saveDailyProgress, completeGame, getNextGameNumber,
-    getStats, updateStats, generateShareText
+    getStats, updateStats, updateSideStats, computeStreaks, migrateStreaks,
+    migrate, getQuarantine, setOnQuarantine, exportData, importData, generateShareText
   };
 
 })();
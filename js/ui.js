@@ -1,10 +1,17 @@
 /**
  * RECOUPLE v2 — UI Controller
  * ============================
- * Griddy-style 9-card board rendered with CSS absolute positioning.
+ * Griddy-style board rendered with CSS absolute positioning, using the
+ * slot coordinates of the active layout (percentages of the board box).
  * Connection lines drawn via SVG overlay.
  * Draft cards tap-to-select, then tap board cell to place.
  * Tap filled cell to select for swap. Double-tap to inspect.
+ * Cards and filled cells can also be dragged onto a cell, which previews
+ * the score change before the drop.
+ * Undo/redo from the header or Ctrl+Z / Ctrl+Shift+Z (Ctrl+Y).
+ * After lock-in the board can flip to the optimal arrangement and replay
+ * the swaps that get there. Finished games can be replayed move by move
+ * from the history screen (js/history.js). Hint mode adds draft lookahead (js/lookahead.js).
  */
 
 const UI = (() => {
@@ -16,25 +23,17 @@ const UI = (() => {
   let lastTapTime = {};
   let helpMode = false;
 
-  // ─── Board Layout Coordinates (percentage-based for responsive SVG) ───
-  // Positions map to slot indices 0-8 on the Griddy topology
-  // New layout:
-  //      [0:Winner]────[1:Bombshell]
-  //       / \            / \
-  //   [2:WILD] [3:USA]──[4:UK] [5:WILD]
-  //       \ / \      / \ /
-  //      [6:Day1] [8:Casa] [7:Coupled]
-  const SLOT_POS = [
-    { x: 35, y: 4  },   // 0: Winner (top-left)
-    { x: 65, y: 4  },   // 1: Bombshell (top-right)
-    { x: 5,  y: 35 },   // 2: WILD-L (left)
-    { x: 35, y: 42 },   // 3: USA (center-left, power position, lowered)
-    { x: 65, y: 42 },   // 4: UK (center-right, power position, lowered)
-    { x: 95, y: 35 },   // 5: WILD-R (right)
-    { x: 12, y: 72 },   // 6: Day 1 (bottom-left)
-    { x: 88, y: 72 },   // 7: Coupled (bottom-right)
-    { x: 50, y: 82 },   // 8: Casa Amor (bottom-center)
-  ];
+  // Completion view: which board is on screen and the swap replay, if running
+  let viewBoard = null;          // null = the player's board
+  let missedEdges = null;        // Set of "a-b" slot keys to flag on viewBoard
+  let replayTimer = null;
+
+  // Drag in progress: { kind: 'draft'|'cell', index, el, pointerId, startX, startY, ghost, target }
+  let drag = null;
+  let suppressClick = false;     // swallow the click that follows a drop
+
+  // Lookahead for the draft round on screen: { key, result } (result null while pending)
+  let roundAnalysis = null;
 
   const AVATAR_COLORS = [
     ['#764ba2','#f093fb'],['#c94b8e','#ff6b6b'],['#667eea','#a78bfa'],
@@ -59,39 +58,58 @@ const UI = (() => {
     return name.split(' ').map(w => w[0]).join('').slice(0,2).toUpperCase();
   }
 
+  function tagName(tag) {
+    const info = Scoring.TAG_INFO[tag];
+    return info ? `${info.emoji} ${info.label}` : null;
+  }
+
+  function tagList(c) {
+    return c.tags.map(tagName).filter(Boolean).join(' · ');
+  }
+
   // ═══ SVG BOARD RENDERING ═══
 
   function renderBoard(state) {
     const boardEl = $('#board-container');
     if (!boardEl) return;
 
-    const score = state.score || Scoring.calculateScore(state.board);
+    const board = viewBoard || state.board;
+    const score = viewBoard ? Scoring.calculateScore(board) : (state.score || Scoring.calculateScore(board));
     const slotLabels = Scoring.getSlotLabels();
+    const layout = Scoring.getLayout();
+    const slotPos = layout.slots;
 
     // Build SVG for connection lines
     let svgLines = '';
     for (const [a, b] of Scoring.EDGES) {
-      const pa = SLOT_POS[a], pb = SLOT_POS[b];
-      const ca = state.board[a], cb = state.board[b];
+      const pa = slotPos[a], pb = slotPos[b];
+      const ca = board[a], cb = board[b];
 
       let cls = 'edge-empty';
       if (ca && cb) {
-        const sameCountry = ca.show === cb.show;
-        const sameSeason = ca.season === cb.season;
-        const isCouple = (ca.couple && ca.couple === cb.name) || (cb.couple && cb.couple === ca.name);
-        if (isCouple) cls = 'edge-couple';
-        else if (sameCountry && sameSeason) cls = 'edge-combo';
-        else if (sameCountry || sameSeason) cls = 'edge-match';
-        else cls = 'edge-none';
+        cls = 'edge-' + (Scoring.edgeStyle(Scoring.connect(ca, cb).types) || 'none');
+        if (missedEdges && missedEdges.has(edgeKey(a, b))) cls += ' edge-missed';
       }
       svgLines += `<line x1="${pa.x}%" y1="${pa.y + 5}%" x2="${pb.x}%" y2="${pb.y + 5}%" class="${cls}" />`;
     }
 
+    // Hint mode: the exact points every cell would gain or lose for the
+    // selected draft card (placement) or selected board card (swap)
+    const previews = [];
+    if (helpMode && !viewBoard) {
+      for (let i = 0; i < board.length; i++) {
+        if (state.phase === 'drafting' && selectedDraftIndex >= 0) previews[i] = Game.previewDraft(selectedDraftIndex, i);
+        else if (state.selectedIndex !== null) previews[i] = Game.previewSwap(state.selectedIndex, i);
+      }
+    }
+    const shown = previews.filter(d => d !== null && d !== undefined);
+    const bestPreview = shown.length ? Math.max(...shown) : null;
+
     // Build cell HTML
     let cellsHTML = '';
-    for (let i = 0; i < 9; i++) {
-      const pos = SLOT_POS[i];
-      const c = state.board[i];
+    for (let i = 0; i < board.length; i++) {
+      const pos = slotPos[i];
+      const c = board[i];
       const sl = slotLabels[i];
       const cs = score.cellScores[i];
       const isSelected = state.selectedIndex === i;
@@ -124,6 +142,7 @@ const UI = (() => {
       } else {
         cellClass += ' cell-empty';
         if (sl.tag === null) cellClass += ' cell-wild';
+        if (sl.rotating) cellClass += ' cell-daily';
         if (helpMode && selectedDraftIndex >= 0) {
           const options = Game.getDraftOptions();
           if (options && options[selectedDraftIndex]) {
@@ -143,23 +162,36 @@ const UI = (() => {
         `;
       }
 
+      const preview = previews[i];
+      if (preview !== null && preview !== undefined) {
+        if (preview === bestPreview && preview > 0) cellClass += ' hint-best';
+        cellContent += deltaBadge(preview);
+      }
+
       cellsHTML += `<div class="${cellClass}" data-slot="${i}" style="left:calc(${pos.x}% - 42px);top:calc(${pos.y}% - 0px)">${cellContent}</div>`;
     }
 
+    boardEl.style.height = layout.height ? layout.height + 'px' : '';
     boardEl.innerHTML = `
       <svg class="board-lines" viewBox="0 0 100 100" preserveAspectRatio="none">${svgLines}</svg>
       ${cellsHTML}
     `;
 
-    // Attach cell click handlers
+    // Attach cell click and drag handlers
+    const canDrag = !viewBoard && (state.phase === 'drafting' || state.phase === 'optimizing');
     boardEl.querySelectorAll('.board-cell').forEach(cell => {
-      cell.addEventListener('click', (e) => handleCellClick(parseInt(cell.dataset.slot), e));
+      const slot = parseInt(cell.dataset.slot);
+      cell.addEventListener('click', (e) => handleCellClick(slot, e));
+      if (canDrag && state.board[slot]) {
+        cell.addEventListener('pointerdown', (e) => startPress(e, 'cell', slot, cell));
+      }
     });
   }
 
   // ═══ CELL CLICK HANDLER ═══
 
   function handleCellClick(slotIndex) {
+    if (suppressClick) return;
     const state = Game.getState();
 
     // During draft: if a draft card is selected, place it here
@@ -189,6 +221,94 @@ const UI = (() => {
     }
   }
 
+  // ═══ DRAG AND DROP ═══
+  // Pointer events cover mouse, touch and pen alike. A press only turns into
+  // a drag once it has moved a few pixels, so taps keep their old behaviour.
+
+  const DRAG_THRESHOLD = 6;
+
+  function startPress(e, kind, index, el) {
+    if (drag || e.button > 0) return;
+    drag = { kind, index, el, pointerId: e.pointerId, startX: e.clientX, startY: e.clientY, ghost: null, target: -1 };
+  }
+
+  function beginDrag() {
+    const rect = drag.el.getBoundingClientRect();
+    const ghost = drag.el.cloneNode(true);
+    ghost.classList.add('drag-ghost');
+    ghost.style.width = rect.width + 'px';
+    ghost.style.height = rect.height + 'px';
+    document.body.appendChild(ghost);
+    drag.ghost = ghost;
+    drag.el.classList.add('drag-source');
+    Game.haptic('light');
+  }
+
+  function onPointerMove(e) {
+    if (!drag || e.pointerId !== drag.pointerId) return;
+    if (!drag.ghost) {
+      if (Math.hypot(e.clientX - drag.startX, e.clientY - drag.startY) < DRAG_THRESHOLD) return;
+      beginDrag();
+    }
+    e.preventDefault();
+    const { width, height } = drag.ghost.getBoundingClientRect();
+    drag.ghost.style.transform = `translate(${e.clientX - width / 2}px, ${e.clientY - height / 2}px) scale(1.05)`;
+
+    const under = document.elementFromPoint ? document.elementFromPoint(e.clientX, e.clientY) : null;
+    const cell = under && under.closest('#board-container .board-cell');
+    let target = cell ? parseInt(cell.dataset.slot) : -1;
+    if (drag.kind === 'cell' && target === drag.index) target = -1;
+    if (target !== drag.target) setDropTarget(target);
+  }
+
+  // Highlight the hovered cell with the points the drop would gain or lose
+  function setDropTarget(target) {
+    $$('.drop-target').forEach(el => {
+      el.classList.remove('drop-target');
+      el.querySelector('.drop-badge')?.remove();
+    });
+    drag.target = target;
+    if (target < 0) return;
+
+    const delta = drag.kind === 'draft' ? Game.previewDraft(drag.index, target) : Game.previewSwap(drag.index, target);
+    const cell = $(`#board-container .board-cell[data-slot="${target}"]`);
+    if (!cell || delta === null) return;
+    cell.classList.add('drop-target');
+    cell.insertAdjacentHTML('beforeend', deltaBadge(delta, 'drop-badge'));
+  }
+
+  function deltaBadge(delta, extraClass = '') {
+    const cls = delta > 0 ? 'delta-up' : delta < 0 ? 'delta-down' : '';
+    return `<div class="cell-delta ${cls} ${extraClass}">${delta > 0 ? '+' : delta < 0 ? '−' : '±'}${Math.abs(delta)}</div>`;
+  }
+
+  function onPointerUp(e) {
+    if (!drag || e.pointerId !== drag.pointerId) return;
+    const { kind, index, target, ghost } = drag;
+    endDrag();
+    if (!ghost) return; // just a tap
+
+    suppressClick = true;
+    setTimeout(() => { suppressClick = false; }, 0);
+    if (target < 0) return;
+    if (kind === 'draft') {
+      selectedDraftIndex = -1;
+      if (Game.draftToCell(index, target)) Game.haptic('medium');
+    } else if (Game.swapCells(index, target)) {
+      Game.haptic('light');
+    }
+  }
+
+  function endDrag() {
+    if (!drag) return;
+    if (drag.ghost) {
+      setDropTarget(-1);
+      drag.ghost.remove();
+      drag.el.classList.remove('drag-source');
+    }
+    drag = null;
+  }
+
   // ═══ DRAFT CARD RENDERING ═══
 
   function renderDraft(state) {
@@ -216,20 +336,25 @@ const UI = (() => {
     const options = Game.getDraftOptions();
     if (!options) return;
 
+    requestRoundAnalysis(state);
+    const analysis = helpMode ? currentAnalysis(state) : null;
+
     draftEl.innerHTML = `
       <div class="draft-header">
-        <span class="draft-round">Round ${state.round + 1}/${Draft.NUM_ROUNDS}</span>
+        <span class="draft-round">Round ${state.round + 1}/${state.allRounds.length}</span>
         <span class="draft-prompt">Pick a contestant</span>
       </div>
       <div class="draft-cards">
-        ${options.map((c, i) => renderDraftCard(c, i)).join('')}
+        ${options.map((c, i) => renderDraftCard(c, i, analysis && analysis.options[i], analysis && analysis.exact)).join('')}
       </div>
     `;
 
     // Attach card click handlers with double-tap detection
     const draftTapTime = {};
     draftEl.querySelectorAll('.draft-card').forEach(card => {
+      card.addEventListener('pointerdown', (e) => startPress(e, 'draft', parseInt(card.dataset.index), card));
       card.addEventListener('click', () => {
+        if (suppressClick) return;
         const idx = parseInt(card.dataset.index);
         const now = Date.now();
         if (draftTapTime[idx] && (now - draftTapTime[idx]) < 400) {
@@ -243,20 +368,19 @@ const UI = (() => {
     });
   }
 
-  function renderDraftCard(c, index) {
+  // reach: this option's lookahead; exact: whether the whole round's search
+  // finished, without which no pick can be called the best
+  function renderDraftCard(c, index, reach, exact) {
     const stars = RARITY[c.stars];
     const [c1, c2] = getAvatarColor(c.name);
     const flag = c.show === 'usa' ? '🇺🇸' : '🇬🇧';
     const seasonShort = c.season.replace('USA S', 'S').replace('UK S', 'S');
     const selected = index === selectedDraftIndex;
 
-    // Show only the 4 gameplay-relevant tags (skip usa/uk since flag covers it)
-    const TAG_DISPLAY = {
-      bombshell: '💣', casa: '🏠'
-    };
-
-    const relevantTags = c.tags.filter(t => TAG_DISPLAY[t]);
-    const tagPills = relevantTags.map(t => `<span class="dtag">${TAG_DISPLAY[t]}</span>`).join('');
+    // Show only tags today's slots ask for (skip usa/uk since flag covers it)
+    const activeTags = Scoring.getDisplayTags().filter(t => t !== 'usa' && t !== 'uk');
+    const relevantTags = c.tags.filter(t => activeTags.includes(t));
+    const tagPills = relevantTags.map(t => `<span class="dtag" title="${Scoring.TAG_INFO[t].label}">${Scoring.TAG_INFO[t].emoji}</span>`).join('');
 
     return `
       <div class="draft-card ${stars.cls} ${selected ? 'card-selected' : ''}" data-index="${index}">
@@ -267,6 +391,8 @@ const UI = (() => {
         <div class="dcard-name">${c.name}</div>
         <div class="dcard-stars" style="color:${stars.accent}">${stars.label}</div>
         <div class="dcard-tags">${tagPills}</div>
+        ${reach ? `<div class="dcard-reach ${reach.delta === 0 ? (exact ? 'reach-best' : 'reach-approx') : ''}" title="Best reachable if you take this pick: ${reach.score}${exact ? '' : ' (approximate)'}">
+          ${reach.delta === 0 ? (exact ? '✓ Best pick' : '≈ Best found') : `${reach.exact ? '' : '≈'}−${-reach.delta} pts`}</div>` : ''}
       </div>
     `;
   }
@@ -298,22 +424,40 @@ const UI = (() => {
     const pct = opt.percentage;
     const pctClass = pct === 100 ? 'pct-perfect' : pct >= 80 ? 'pct-great' : pct >= 60 ? 'pct-good' : 'pct-low';
 
+    const nextLabel = state.mode === 'practice' ? '🎲 New Practice'
+      : state.mode === 'challenge' ? (Storage.getNextGameNumber(Storage.todayStr()) ? "Today's Game →" : '🎲 Practice')
+      : Storage.getNextGameNumber(state.date, state.mode) ? 'Next Game →'
+      : state.mode === 'archive' ? '🗓️ Archive' : '🎲 Practice';
+
     draftEl.innerHTML = `
       <div class="completion-panel">
         <div class="completion-score">${score.total}</div>
         <div class="completion-label">points</div>
         <div class="completion-pct ${pctClass}">${pct}% optimal</div>
         ${pct < 100 ? `<div class="completion-optimal">Best possible: ${opt.optimalScore}pts</div>` : ''}
+        ${opt.board && opt.optimalScore > score.total ? `
+          <div class="completion-views">
+            <button class="view-toggle view-active" data-view="player">Your Board</button>
+            <button class="view-toggle" data-view="optimal">Best Board</button>
+            <button class="view-toggle" data-view="replay">▶ Swaps</button>
+          </div>
+          <div id="completion-missed" class="completion-missed" hidden></div>` : ''}
         <div class="completion-breakdown">
           <span>🎯 Slots: ${score.totalSlot}</span>
           <span>⭐ Rarity: ${score.totalRarity}</span>
           <span>🔗 Connections: ${score.totalConnections}</span>
           ${coupleCount > 0 ? `<span>💕 Couples: ${coupleCount}</span>` : ''}
+          ${score.gridBonus ? `<span>🎉 Perfect: +${score.gridBonus}</span>` : ''}
         </div>
         <div class="completion-buttons">
           <button id="btn-share" class="btn-primary">📋 Share</button>
-          <button id="btn-next-game" class="btn-secondary">Next Game →</button>
+          <button id="btn-share-card" class="btn-secondary">🖼️ Image</button>
+          <button id="btn-next-game" class="btn-secondary">${nextLabel}</button>
         </div>
+        ${state.mode === 'daily' ? `<div class="completion-countdown">Next puzzles in <b class="countdown">${countdownText()}</b></div>` : ''}
+        <button id="btn-review" class="btn-link">📈 Draft review: your picks vs best picks</button>
+        ${state.mode !== 'challenge' ? '<button id="btn-challenge" class="btn-link">🔗 Challenge a friend to this draft</button>' : ''}
+        ${Game.getResultCode() ? '<button id="btn-compare" class="btn-link">🆚 Compare with a friend\'s result</button>' : ''}
       </div>
     `;
 
@@ -325,12 +469,238 @@ const UI = (() => {
       }
     });
 
+    $('#btn-share-card')?.addEventListener('click', async () => {
+      const btn = $('#btn-share-card');
+      btn.disabled = true;
+      try {
+        const sent = await shareCard(state, pct);
+        if (sent) btn.textContent = sent === 'shared' ? '✅ Shared!' : '✅ Saved!';
+      } catch(e) {
+        console.warn('Share card failed:', e);
+      }
+      btn.disabled = false;
+      setTimeout(() => { if ($('#btn-share-card')) $('#btn-share-card').textContent = '🖼️ Image'; }, 2000);
+    });
+
     $('#btn-next-game')?.addEventListener('click', startNextGame);
+    $('#btn-review')?.addEventListener('click', () => showDraftReview(state));
+    $('#btn-challenge')?.addEventListener('click', () => shareChallenge(state));
+    $('#btn-compare')?.addEventListener('click', () => showCompare());
+
+    draftEl.querySelectorAll('.view-toggle').forEach(btn => {
+      btn.addEventListener('click', () => showCompletionView(btn.dataset.view, state, opt.board));
+    });
 
     // Confetti for good scores
     if (score.total >= 60) launchConfetti();
   }
 
+  // PNG of the finished board, through the share sheet or as a download
+  function shareCard(state, percentage) {
+    const [y, m, d] = state.date.split('-').map(Number);
+    const label = state.mode === 'practice' ? 'Practice' : state.mode === 'challenge' ? 'Challenge' : `Game ${state.gameNumber}`;
+    return ShareCard.share({
+      title: 'Recouple',
+      subtitle: `${label} · ${MONTHS[m - 1]} ${d}, ${y}`,
+      layout: Scoring.getLayout(), board: state.board, score: state.score, percentage,
+      getAvatarColor, getInitials
+    }, {
+      filename: `recouple-${state.date}-${state.mode === 'daily' || state.mode === 'archive' ? `game${state.gameNumber}` : state.mode}.png`,
+      text: Game.getShareText()
+    });
+  }
+
+  // ═══ SOLUTION REPLAY ═══
+
+  function edgeKey(a, b) { return Math.min(a, b) + '-' + Math.max(a, b); }
+
+  function cardKey(c) { return c.id || c.name; }
+
+  // Card pairs that earn connection points on a board
+  function scoringPairs(board) {
+    const score = Scoring.calculateScore(board);
+    const pairs = new Map();
+    for (const cs of score.cellScores) {
+      for (const conn of cs.connections) {
+        const ka = cardKey(board[cs.index]), kb = cardKey(board[conn.neighborIndex]);
+        pairs.set(ka < kb ? ka + '|' + kb : kb + '|' + ka, { a: cs.index, b: conn.neighborIndex, points: conn.points * 2 });
+      }
+    }
+    return pairs;
+  }
+
+  // Scoring links on the optimal board whose two cards don't score together on the player's
+  function findMissedEdges(playerBoard, optimalBoard) {
+    const mine = scoringPairs(playerBoard);
+    const missed = [];
+    for (const [key, edge] of scoringPairs(optimalBoard)) {
+      if (!mine.has(key)) missed.push(edge);
+    }
+    return missed;
+  }
+
+  // Swaps that turn `from` into `to`, fixing one slot at a time
+  function swapsBetween(from, to) {
+    const board = [...from];
+    const swaps = [];
+    for (let i = 0; i < to.length; i++) {
+      if (cardKey(board[i]) === cardKey(to[i])) continue;
+      const j = board.findIndex((c, k) => k > i && cardKey(c) === cardKey(to[i]));
+      if (j < 0) continue;
+      [board[i], board[j]] = [board[j], board[i]];
+      swaps.push([i, j]);
+    }
+    return swaps;
+  }
+
+  function stopReplay() {
+    if (replayTimer) clearTimeout(replayTimer);
+    replayTimer = null;
+  }
+
+  function setActiveView(view) {
+    $$('.view-toggle').forEach(btn => btn.classList.toggle('view-active', btn.dataset.view === view));
+  }
+
+  function showCompletionView(view, state, optimalBoard) {
+    stopReplay();
+    setActiveView(view);
+    const missedEl = $('#completion-missed');
+
+    if (view === 'player') {
+      viewBoard = null;
+      missedEdges = null;
+      if (missedEl) missedEl.hidden = true;
+      renderBoard(state);
+      return;
+    }
+
+    const missed = findMissedEdges(state.board, optimalBoard);
+    const showOptimal = () => {
+      viewBoard = optimalBoard;
+      missedEdges = new Set(missed.map(e => edgeKey(e.a, e.b)));
+      renderBoard(state);
+      if (missedEl) {
+        missedEl.hidden = false;
+        missedEl.innerHTML = missed.length
+          ? `<div class="insp-section-label">Links you missed</div>` + missed.map(e =>
+              `<div class="insp-conn">${optimalBoard[e.a].name} ↔ ${optimalBoard[e.b].name} <span>+${e.points}</span></div>`).join('')
+          : '<div class="insp-conn insp-none">Same links, better slots</div>';
+      }
+    };
+
+    if (view === 'optimal') { showOptimal(); return; }
+
+    // Replay: step from the player's board to the optimal one, one swap at a time
+    const swaps = swapsBetween(state.board, optimalBoard);
+    viewBoard = [...state.board];
+    missedEdges = null;
+    if (missedEl) missedEl.hidden = true;
+    renderBoard(state);
+
+    let step = 0;
+    const next = () => {
+      if (step >= swaps.length) {
+        replayTimer = null;
+        setActiveView('optimal');
+        showOptimal();
+        return;
+      }
+      const [i, j] = swaps[step++];
+      viewBoard = [...viewBoard];
+      [viewBoard[i], viewBoard[j]] = [viewBoard[j], viewBoard[i]];
+      renderBoard(state);
+      animateSwap(i, j);
+      replayTimer = setTimeout(next, 800);
+    };
+    replayTimer = setTimeout(next, 500);
+  }
+
+  // Slide two freshly rendered cells in from each other's positions
+  function animateSwap(i, j) {
+    const a = $(`.board-cell[data-slot="${i}"]`), b = $(`.board-cell[data-slot="${j}"]`);
+    if (!a || !b) return;
+    const ra = a.getBoundingClientRect(), rb = b.getBoundingClientRect();
+    a.style.transform = `translate(${rb.left - ra.left}px, ${rb.top - ra.top}px)`;
+    b.style.transform = `translate(${ra.left - rb.left}px, ${ra.top - rb.top}px)`;
+    a.classList.add('cell-swapping');
+    b.classList.add('cell-swapping');
+    requestAnimationFrame(() => requestAnimationFrame(() => {
+      a.style.transform = '';
+      b.style.transform = '';
+    }));
+  }
+
+  // ═══ DRAFT LOOKAHEAD ═══
+
+  // Everything the analysis depends on: practice and challenge games share
+  // a date and game number 0, so the seed and rules tell their deals apart
+  function analysisKey(state) {
+    return [
+      state.mode, state.date, state.gameNumber, state.seed, state.pool, state.layoutId, state.profileId, state.rulesDate,
+      state.round, state.picks.join('')
+    ].join('|');
+  }
+
+  function currentAnalysis(state) {
+    return roundAnalysis && roundAnalysis.key === analysisKey(state) ? roundAnalysis.result : null;
+  }
+
+  // Start the lookahead for the round on screen; re-renders when it lands
+  function requestRoundAnalysis(state) {
+    if (!helpMode || state.phase !== 'drafting') return;
+    const key = analysisKey(state);
+    if (roundAnalysis && roundAnalysis.key === key) return;
+    roundAnalysis = { key, result: null };
+    Lookahead.requestRound(state.allRounds, state.picks, state.round).then(result => {
+      if (!roundAnalysis || roundAnalysis.key !== key) return;
+      roundAnalysis.result = result;
+      const now = Game.getState();
+      renderDraft(now);
+      renderScorePanel(now);
+    }).catch(e => console.warn('Draft analysis failed:', e));
+  }
+
+  function showDraftReview(state) {
+    const overlay = document.createElement('div');
+    overlay.className = 'inspector-overlay';
+    overlay.innerHTML = `
+      <div class="inspector-card review-card">
+        <div class="insp-header"><div class="insp-name">📈 Draft Review</div></div>
+        <div class="review-body"><div class="insp-conn insp-none">Analysing every pick…</div></div>
+        <button class="insp-close">Close</button>
+      </div>
+    `;
+    document.body.appendChild(overlay);
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay || e.target.classList.contains('insp-close')) overlay.remove();
+    });
+
+    Lookahead.requestReview(state.allRounds, state.picks).then(review => {
+      const body = overlay.querySelector('.review-body');
+      if (!body) return;
+      const lost = review.reduce((sum, r) => sum + r.loss, 0);
+      const bestRounds = review.filter(r => r.loss === 0).length;
+      body.innerHTML = `
+        <div class="review-summary">${bestRounds}/${review.length} best picks · ${lost > 0 ? `${lost} pts left on the table` : 'a perfect draft!'}</div>
+        ${review.map(r => {
+          const options = state.allRounds[r.round];
+          const mine = options[r.pick], best = options[r.bestPick];
+          return `
+            <div class="review-row ${r.loss === 0 ? 'review-best' : ''}">
+              <span class="review-round">R${r.round + 1}</span>
+              <span class="review-picks">${mine.name}${r.loss > 0 ? ` <em>vs</em> ${best.name}` : ''}</span>
+              <span class="review-loss">${r.loss === 0 ? '✓' : `${r.exact ? '' : '≈'}−${r.loss}`}</span>
+            </div>`;
+        }).join('')}
+      `;
+    }).catch(e => {
+      console.warn('Draft review failed:', e);
+      const body = overlay.querySelector('.review-body');
+      if (body) body.innerHTML = '<div class="insp-conn insp-none">Couldn\'t analyse this draft</div>';
+    });
+  }
+
   // ═══ SCORE PANEL ═══
 
   function renderScorePanel(state) {
@@ -341,18 +711,26 @@ const UI = (() => {
 
     // Calculate percentage (optimal arrangement)
     let pctDisplay = '';
-    if (state.drafted.length === 9) {
+    if (state.drafted.length === state.board.length) {
       const opt = Scoring.calculateOptimal(state.drafted, s.total);
       const pct = opt.percentage;
       const pctClass = pct === 100 ? 'pct-perfect' : pct >= 80 ? 'pct-great' : pct >= 60 ? 'pct-good' : 'pct-low';
       pctDisplay = `<div class="score-pct ${pctClass}">${pct}%</div>`;
     }
 
+    // Best final score still reachable from this point of the draft (hint mode)
+    let reachDisplay = '';
+    if (helpMode && state.phase === 'drafting') {
+      const analysis = currentAnalysis(state);
+      reachDisplay = `<div class="score-reach">Best reachable: ${analysis ? `${analysis.exact ? '' : '≥'}${analysis.best}` : '…'}</div>`;
+    }
+
     el.innerHTML = `
       <div class="score-main">
         <div class="score-total">${s.total}<span class="score-unit">pts</span></div>
         ${pctDisplay}
       </div>
+      ${reachDisplay}
       <div class="score-breakdown">
         <div class="sb-item"><span class="sb-label">🎯 Slots</span><span class="sb-val">${s.totalSlot}</span></div>
         <div class="sb-item"><span class="sb-label">⭐ Rarity</span><span class="sb-val">${s.totalRarity}</span></div>
@@ -366,23 +744,19 @@ const UI = (() => {
   function showDraftInspector(c) {
     if (!c) return;
 
-    const TAG_NAMES = {
-      usa:'🇺🇸 USA', uk:'🇬🇧 UK', bombshell:'💣 Bombshell', casa:'🏠 Casa Amor',
-      winner:'👑 Winner', coupled:'💑 Coupled', finale:'🏆 Finale',
-      day1:'☀️ Day 1', season6:'6️⃣ S6+', og_era:'🕰️ OG Era'
-    };
-    const displayTags = Scoring.DISPLAY_TAGS || ['usa','uk','bombshell','casa'];
-    const tagList = c.tags.filter(t => TAG_NAMES[t]).map(t => TAG_NAMES[t]).join(' · ');
+    const tags = tagList(c);
 
     // Show which slots this contestant can validly fill
     const slotLabels = Scoring.getSlotLabels();
+    const slotMatch = Scoring.getProfile().slotMatch;
     let slotsHTML = '';
-    for (let i = 0; i < 9; i++) {
-      const sl = slotLabels[i];
-      if (sl.tag === null) continue; // skip WILD
+    const shown = new Set();
+    for (const sl of slotLabels) {
+      if (sl.tag === null || shown.has(sl.tag)) continue; // skip WILD and repeats
       const valid = c.tags.includes(sl.tag);
       if (valid) {
-        slotsHTML += `<span class="insp-slot-badge insp-valid">${sl.emoji} ${sl.label} +2</span>`;
+        shown.add(sl.tag);
+        slotsHTML += `<span class="insp-slot-badge insp-valid">${sl.emoji} ${sl.label}${sl.rotating ? ' (today)' : ''} +${slotMatch}</span>`;
       }
     }
     if (!slotsHTML) {
@@ -403,8 +777,8 @@ const UI = (() => {
           <div class="insp-name">${c.name}</div>
           <div class="insp-season">${c.season} · ${stars}</div>
         </div>
-        <div class="insp-tags">${tagList}</div>
-        ${c.couple ? `<div class="insp-couple">💕 Couple: ${c.couple}</div>` : ''}
+        <div class="insp-tags">${tags}</div>
+        ${partnersHTML(c)}
         <div class="insp-section-label">Valid Placements</div>
         <div class="insp-slots-row">${slotsHTML}</div>
         <button class="insp-close">Close</button>
@@ -419,12 +793,32 @@ const UI = (() => {
     });
   }
 
+  function connIcons(types, partner) {
+    return types.map(t => {
+      if (t === 'couple' && partner) return Scoring.PARTNER_TYPES[partner].emoji;
+      const rule = Scoring.CONNECTION_RULES.find(r => r.id === t);
+      return rule ? rule.icon : t;
+    }).join('');
+  }
+
+  // Every villa partnership of a card, one line each
+  function partnersHTML(c) {
+    const list = Array.isArray(c.partners) ? c.partners
+      : c.couple ? [{ name: c.couple, type: 'final' }] : [];
+    return list.filter(p => Scoring.PARTNER_TYPES[p.type]).map(p => {
+      const info = Scoring.PARTNER_TYPES[p.type];
+      const name = p.name || contestantsDB.find(x => x.id === p.id)?.name || p.id;
+      return `<div class="insp-couple">${info.emoji} ${info.label}: ${name} <span>+${Scoring.partnerPoints(p.type)}</span></div>`;
+    }).join('');
+  }
+
   function showInspector(slotIndex) {
     const state = Game.getState();
-    const c = state.board[slotIndex];
+    const board = viewBoard || state.board;
+    const c = board[slotIndex];
     if (!c) return;
 
-    const score = state.score || Scoring.calculateScore(state.board);
+    const score = viewBoard ? Scoring.calculateScore(board) : (state.score || Scoring.calculateScore(board));
     const cs = score.cellScores[slotIndex];
     const sl = Scoring.getSlotLabels()[slotIndex];
     const valid = cs.isValid;
@@ -433,26 +827,13 @@ const UI = (() => {
     let connHTML = '';
     if (cs.connections.length > 0) {
       connHTML = cs.connections.map(conn => {
-        const types = conn.types.map(t => {
-          if (t === 'couple') return '💕';
-          if (t === 'country') return '🌍';
-          if (t === 'season') return '🗓';
-          if (t === 'combo') return '🔥';
-          return t;
-        }).join('');
-        return `<div class="insp-conn">${types} ${conn.neighborName} <span>+${conn.points}</span></div>`;
+        return `<div class="insp-conn">${connIcons(conn.types, conn.partner)} ${conn.neighborName} <span>+${conn.points}</span></div>`;
       }).join('');
     } else {
       connHTML = '<div class="insp-conn insp-none">No scoring connections</div>';
     }
 
-    // All tags
-    const TAG_NAMES = {
-      usa:'🇺🇸 USA', uk:'🇬🇧 UK', bombshell:'💣 Bombshell', casa:'🏠 Casa Amor',
-      winner:'👑 Winner', coupled:'💑 Coupled', finale:'🏆 Finale',
-      day1:'☀️ Day 1'
-    };
-    const tagList = c.tags.filter(t => TAG_NAMES[t]).map(t => TAG_NAMES[t]).join(' · ');
+    const tags = tagList(c);
 
     const overlay = document.createElement('div');
     overlay.className = 'inspector-overlay';
@@ -463,10 +844,10 @@ const UI = (() => {
           <div class="insp-season">${c.season} · ${'★'.repeat(c.stars)}</div>
         </div>
         <div class="insp-slot ${valid ? 'insp-valid' : 'insp-invalid'}">
-          ${sl.emoji} ${sl.label} ${valid ? '✅ +2' : '❌ 0'}
+          ${sl.emoji} ${sl.label}${sl.rotating ? ' (today)' : ''} ${valid ? '✅' : '❌'} ${cs.slotPoints < 0 ? cs.slotPoints : '+' + cs.slotPoints}
         </div>
-        <div class="insp-tags">${tagList}</div>
-        ${c.couple ? `<div class="insp-couple">💕 Couple: ${c.couple}</div>` : ''}
+        <div class="insp-tags">${tags}</div>
+        ${partnersHTML(c)}
         <div class="insp-section-label">Connections (${cs.connectionPoints}pt)</div>
         ${connHTML}
         <div class="insp-total">Total: ${cs.totalPoints}pt</div>
@@ -486,22 +867,26 @@ const UI = (() => {
 
   function renderHeader(state) {
     const roundText = state.phase === 'drafting'
-      ? `Round ${state.round + 1}/${Draft.NUM_ROUNDS}`
+      ? `Round ${state.round + 1}/${state.allRounds.length}`
       : state.phase === 'optimizing' ? 'Optimizing'
       : 'Complete';
 
     const headerInfo = $('#header-info');
     if (headerInfo) {
-      headerInfo.textContent = `${roundText} · Game ${state.gameNumber}`;
+      const gameText = state.mode === 'practice' ? 'Practice'
+        : state.mode === 'challenge' ? 'Challenge'
+        : state.mode === 'archive' ? `${shortDate(state.date)} · Game ${state.gameNumber}`
+        : `Game ${state.gameNumber}`;
+      headerInfo.textContent = `${roundText} · ${gameText}`;
     }
 
-    // Update game tabs
-    const progress = Storage.getDailyProgress(state.date);
+    // Update game tabs (always today's games)
+    const progress = Storage.getDailyProgress(Storage.todayStr());
     for (let g = 1; g <= 3; g++) {
       const tab = $(`#tab-game-${g}`);
       if (!tab) continue;
       const gp = progress['game' + g];
-      tab.classList.toggle('tab-active', g === state.gameNumber);
+      tab.classList.toggle('tab-active', state.mode === 'daily' && g === state.gameNumber);
       tab.classList.toggle('tab-complete', gp?.completed);
       if (gp?.completed) {
         tab.textContent = `G${g}: ${gp.score}`;
@@ -509,12 +894,45 @@ const UI = (() => {
         tab.textContent = `Game ${g}`;
       }
     }
+
+    $('#tab-practice')?.classList.toggle('tab-active', state.mode === 'practice');
+    $('#tab-archive')?.classList.toggle('tab-active', state.mode === 'archive');
+
+    const undoBtn = $('#btn-undo'), redoBtn = $('#btn-redo');
+    if (undoBtn) undoBtn.disabled = !Game.canUndo();
+    if (redoBtn) redoBtn.disabled = !Game.canRedo();
+  }
+
+  // ═══ UNDO / REDO ═══
+
+  function undoMove() {
+    if (!Game.undo()) return;
+    selectedDraftIndex = -1;
+    Game.haptic('light');
+  }
+
+  function redoMove() {
+    if (!Game.redo()) return;
+    selectedDraftIndex = -1;
+    Game.haptic('light');
+  }
+
+  function handleKeydown(e) {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    if (e.target.closest && e.target.closest('input, textarea, select, [contenteditable]')) return;
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) undoMove();
+    else if ((key === 'z' && e.shiftKey) || key === 'y') redoMove();
+    else return;
+    e.preventDefault();
   }
 
   // ═══ STATS OVERLAY ═══
 
   function showStats() {
     const stats = Storage.getStats();
+    const practice = Storage.getStats('practice');
+    const archive = Storage.getStats('archive');
     const overlay = document.createElement('div');
     overlay.className = 'inspector-overlay';
     overlay.innerHTML = `
@@ -528,6 +946,461 @@ const UI = (() => {
           <div class="stat-item"><div class="stat-val">${stats.longestStreak}</div><div class="stat-label">Max Streak</div></div>
           <div class="stat-item"><div class="stat-val">${stats.perfectGrids}</div><div class="stat-label">Perfects</div></div>
         </div>
+        ${practice.gamesPlayed ? `<div class="stats-practice">🎲 Practice: ${practice.gamesPlayed} played · avg ${practice.averageScore} · best ${practice.bestScore}</div>` : ''}
+        ${archive.gamesPlayed ? `<div class="stats-practice">🗓️ Archive: ${archive.gamesPlayed} played · avg ${archive.averageScore} · best ${archive.bestScore}</div>` : ''}
+        <div class="stats-dashboard"><div class="insp-conn insp-none">Loading charts…</div></div>
+        <button id="btn-history" class="btn-secondary stats-history-btn">📜 Game History</button>
+        <button class="insp-close">Close</button>
+      </div>
+    `;
+    document.body.appendChild(overlay);
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay || e.target.classList.contains('insp-close')) overlay.remove();
+    });
+    overlay.querySelector('#btn-history')?.addEventListener('click', () => {
+      overlay.remove();
+      showHistory();
+    });
+
+    HistoryDB.getAllGames().then(games => {
+      const el = overlay.querySelector('.stats-dashboard');
+      // Charts follow the daily puzzles only
+      if (el) el.innerHTML = renderDashboard(Stats.summarize(games.filter(g => (g.mode || 'daily') === 'daily')));
+    });
+  }
+
+  // Charts drawn from the game history store
+  function renderDashboard(sum) {
+    if (!sum.count) return '<div class="insp-conn insp-none">Finish a game to see your charts</div>';
+    const section = (title, body) => body ? `<div class="insp-section-label">${title}</div>${body}` : '';
+
+    const byGame = sum.byGameNumber.map(g => `
+      <div class="stat-item"><div class="stat-val">${g.count ? g.average : '–'}</div><div class="stat-label">Game ${g.gameNumber} avg</div></div>`).join('');
+
+    const drafted = sum.mostDrafted.map(c => `
+      <div class="insp-conn">${c.name} <em style="color:${RARITY[c.stars].accent}">${RARITY[c.stars].label}</em><span>×${c.count}</span></div>`).join('');
+
+    return `
+      <div class="stats-summary">${sum.count} games in history · avg ${sum.averageScore} pts · ${sum.averagePercentage}% of best</div>
+      ${section('Scores', Charts.barChart(sum.scoreHistogram, { color: '#ff6b9d' }))}
+      ${section('% of best possible', Charts.barChart(sum.percentageHistogram, { color: '#2ed573' }))}
+      ${section('Daily average · 7-day rolling', Charts.lineChart(
+        sum.trend.map(t => shortDate(t.date)),
+        [
+          { values: sum.trend.map(t => t.average), color: 'rgba(245,240,255,0.35)' },
+          { values: sum.trend.map(t => t.rolling), color: '#ffd700', dashed: true }
+        ]))}
+      ${section('By game', `<div class="stats-grid">${byGame}</div>`)}
+      ${section('Average points by source', Charts.stackedBar([
+        { label: '🎯', value: sum.sources.slots, color: '#f093fb' },
+        { label: '⭐', value: sum.sources.rarity, color: '#ffd700' },
+        { label: '🔗', value: sum.sources.connections, color: '#2ed573' },
+        { label: '💕', value: sum.sources.couples, color: '#ff6b9d' }
+      ]))}
+      ${section('Most drafted', drafted)}
+    `;
+  }
+
+  // ═══ HISTORY & REPLAYS ═══
+
+  function formatDuration(ms) {
+    if (!(ms >= 0)) return '';
+    const secs = Math.round(ms / 1000);
+    return `${Math.floor(secs / 60)}:${String(secs % 60).padStart(2, '0')}`;
+  }
+
+  function layoutById(id) {
+    return Scoring.getLayouts().find(l => l.id === id) || Scoring.getLayout();
+  }
+
+  // Small static board for any layout; highlight is a Set of slot indices,
+  // edgeClasses an optional Map of edgeKey → class for the lines
+  function miniBoardHTML(layout, board, highlight, edgeClasses) {
+    const lines = layout.edges.map(([a, b]) => {
+      const pa = layout.slots[a], pb = layout.slots[b];
+      const cls = edgeClasses && edgeClasses.get(edgeKey(a, b));
+      return `<line x1="${pa.x}%" y1="${pa.y + 6}%" x2="${pb.x}%" y2="${pb.y + 6}%"${cls ? ` class="${cls}"` : ''} />`;
+    }).join('');
+    const cells = layout.slots.map((pos, i) => {
+      const c = board[i];
+      const lit = highlight && highlight.has(i) ? ' mini-lit' : '';
+      if (!c) return `<div class="mini-cell mini-empty${lit}" style="left:${pos.x}%;top:${pos.y}%"></div>`;
+      const [c1, c2] = getAvatarColor(c.name);
+      return `<div class="mini-cell${lit}" title="${c.name}" style="left:${pos.x}%;top:${pos.y}%;background:linear-gradient(135deg,${c1},${c2});border-color:${RARITY[c.stars].accent}">${getInitials(c.name)}</div>`;
+    }).join('');
+    return `
+      <div class="mini-board" style="height:${layout.height ? Math.round(layout.height / 2) : 170}px">
+        <svg class="mini-lines" viewBox="0 0 100 100" preserveAspectRatio="none">${lines}</svg>
+        ${cells}
+      </div>`;
+  }
+
+  async function showHistory() {
+    const overlay = document.createElement('div');
+    overlay.className = 'inspector-overlay';
+    overlay.innerHTML = `
+      <div class="inspector-card history-card">
+        <div class="insp-header"><div class="insp-name">📜 Game History</div></div>
+        <div class="history-body"><div class="insp-conn insp-none">Loading…</div></div>
+        <button class="insp-close">Close</button>
+      </div>
+    `;
+    document.body.appendChild(overlay);
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay || e.target.classList.contains('insp-close')) overlay.remove();
+    });
+
+    const games = await HistoryDB.getAllGames();
+    const body = overlay.querySelector('.history-body');
+    if (!games.length) {
+      body.innerHTML = '<div class="insp-conn insp-none">No finished games yet</div>';
+      return;
+    }
+
+    const byDate = new Map();
+    for (const g of games) {
+      if (!byDate.has(g.date)) byDate.set(g.date, []);
+      byDate.get(g.date).push(g);
+    }
+    body.innerHTML = [...byDate].map(([date, list]) => `
+      <div class="history-day">
+        <div class="insp-section-label">${date}</div>
+        ${list.map(g => `
+          <button class="history-game" data-id="${g.id}">
+            <span class="history-game-num">${g.mode === 'practice' ? '🎲 Practice' : g.mode === 'challenge' ? '🔗 Challenge' : `${g.mode === 'archive' ? '🗓️ ' : ''}Game ${g.gameNumber}`}</span>
+            <span class="history-game-score">${g.breakdown.total} pts</span>
+            <span class="history-game-meta">${g.percentage}% · ${formatDuration(g.completedAt - g.startedAt)}</span>
+          </button>`).join('')}
+      </div>`).join('');
+
+    body.querySelectorAll('.history-game').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const game = games.find(g => g.id === btn.dataset.id);
+        if (game) showReplay(overlay, game);
+      });
+    });
+  }
+
+  function describeMove(move, board, slotTags) {
+    const name = (i) => board[i] ? board[i].name : 'an empty slot';
+    const slot = (i) => tagName(slotTags[i]) || '🃏 Wild';
+    switch (move.type) {
+      case 'draft':
+        return `Round ${move.round + 1}: drafted ${name(move.cell)} into ${slot(move.cell)}` +
+          (move.displacedTo >= 0 ? `, moving ${name(move.displacedTo)} aside` : '');
+      case 'swap': return `Swapped ${name(move.a)} ↔ ${name(move.b)}`;
+      case 'undo': return `Undid the last ${move.move}`;
+      case 'redo': return `Redid the ${move.move}`;
+      default: return '';
+    }
+  }
+
+  // Step through a recorded game; step 0 is the empty board
+  function showReplay(overlay, game) {
+    const layout = layoutById(game.layoutId);
+    const cardsById = new Map(game.drafted.map(c => [c.id, c]));
+    const boards = [new Array(layout.slots.length).fill(null)]
+      .concat(game.moves.map(m => m.board.map(id => id ? cardsById.get(id) || null : null)));
+    let step = boards.length - 1;
+
+    const card = overlay.querySelector('.inspector-card');
+    card.classList.add('replay-card');
+    card.innerHTML = `
+      <div class="insp-header">
+        <div class="insp-name">${game.mode === 'practice' ? 'Practice' : game.mode === 'challenge' ? 'Challenge' : `Game ${game.gameNumber}`} · ${game.date}</div>
+        <div class="insp-season">${game.breakdown.total} pts · best ${game.optimalScore} · ${layout.name}</div>
+      </div>
+      <div class="replay-board"></div>
+      <div class="replay-caption"></div>
+      <div class="replay-controls">
+        <button class="view-toggle" data-step="first">⏮</button>
+        <button class="view-toggle" data-step="prev">◀</button>
+        <input class="replay-slider" type="range" min="0" max="${boards.length - 1}" value="${step}">
+        <button class="view-toggle" data-step="next">▶</button>
+        <button class="view-toggle" data-step="last">⏭</button>
+      </div>
+      <div class="replay-breakdown">
+        🎯 ${game.breakdown.slots} · ⭐ ${game.breakdown.rarity} · 🔗 ${game.breakdown.connections} · 💕 ${game.breakdown.couples}
+      </div>
+      <button class="btn-link replay-back">← All games</button>
+      <button class="insp-close">Close</button>
+    `;
+
+    const render = () => {
+      const move = game.moves[step - 1];
+      const prev = boards[step - 1];
+      const lit = new Set();
+      if (move) boards[step].forEach((c, i) => { if (c !== prev[i]) lit.add(i); });
+      card.querySelector('.replay-board').innerHTML = miniBoardHTML(layout, boards[step], lit);
+      card.querySelector('.replay-caption').innerHTML = move
+        ? `<div>${describeMove(move, boards[step], game.slotTags)}</div>
+           <div class="replay-meta">Move ${step}/${game.moves.length} · ${move.score} pts · ${formatDuration(move.t - game.startedAt)}</div>`
+        : `<div>Start of the draft</div><div class="replay-meta">Move 0/${game.moves.length}</div>`;
+      card.querySelector('.replay-slider').value = step;
+    };
+
+    card.querySelectorAll('[data-step]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const to = { first: 0, prev: step - 1, next: step + 1, last: boards.length - 1 }[btn.dataset.step];
+        step = Math.max(0, Math.min(boards.length - 1, to));
+        render();
+      });
+    });
+    card.querySelector('.replay-slider').addEventListener('input', (e) => {
+      step = parseInt(e.target.value);
+      render();
+    });
+    card.querySelector('.replay-back').addEventListener('click', () => {
+      overlay.remove();
+      showHistory();
+    });
+    render();
+  }
+
+  // ═══ PUZZLE ARCHIVE ═══
+  // Every past date rebuilds from its seed. Live results are the ones that
+  // counted on the day; archive results are replays, kept apart from them.
+
+  const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June',
+    'July', 'August', 'September', 'October', 'November', 'December'];
+
+  function pad2(n) { return String(n).padStart(2, '0'); }
+  function ymd(y, m, d) { return `${y}-${pad2(m)}-${pad2(d)}`; }
+
+  function shortDate(date) {
+    const [, m, d] = date.split('-').map(Number);
+    return `${MONTHS[m - 1].slice(0, 3)} ${d}`;
+  }
+
+  function dayResults(date) {
+    const live = Storage.getDailyProgress(date);
+    const archive = Storage.getDailyProgress(date, 'archive');
+    return [1, 2, 3].map(g => ({ gameNumber: g, live: live['game' + g], archive: archive['game' + g] }));
+  }
+
+  function showArchive(focusDate) {
+    const today = Storage.todayStr();
+    const yesterday = (() => {
+      const t = Storage.parseDate(today);
+      t.setDate(t.getDate() - 1);
+      return Storage.dateStr(t);
+    })();
+    let [year, month] = (focusDate || yesterday).split('-').map(Number);
+    let selected = focusDate || null;
+
+    const overlay = document.createElement('div');
+    overlay.className = 'inspector-overlay';
+    overlay.innerHTML = `
+      <div class="inspector-card archive-card">
+        <div class="insp-header"><div class="insp-name">🗓️ Puzzle Archive</div></div>
+        <div class="archive-body"></div>
+        <div class="settings-note">Archive games don't count toward your daily streak.</div>
+        <button class="insp-close">Close</button>
+      </div>
+    `;
+    document.body.appendChild(overlay);
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay || e.target.classList.contains('insp-close')) overlay.remove();
+    });
+
+    const render = () => {
+      const first = new Date(year, month - 1, 1).getDay();
+      const days = new Date(year, month, 0).getDate();
+      const prevOk = ymd(year, month, 1) > Draft.FIRST_DAY;
+      const nextOk = ymd(year, month, days) < yesterday;
+
+      let cells = '';
+      for (let i = 0; i < first; i++) cells += '<span class="cal-day cal-blank"></span>';
+      for (let d = 1; d <= days; d++) {
+        const date = ymd(year, month, d);
+        const open = date >= Draft.FIRST_DAY && date <= yesterday;
+        const done = open ? dayResults(date).filter(r => r.live.completed || r.archive.completed).length : 0;
+        cells += `<button class="cal-day ${done ? `cal-done cal-done-${done}` : ''} ${date === selected ? 'cal-selected' : ''}"
+          data-date="${date}" ${open ? '' : 'disabled'}>${d}${done ? `<i>${'•'.repeat(done)}</i>` : ''}</button>`;
+      }
+
+      let detail = '<div class="insp-conn insp-none">Pick a day to play its puzzles</div>';
+      if (selected) {
+        detail = `<div class="insp-section-label">${shortDate(selected)}, ${selected.slice(0, 4)}</div>` +
+          dayResults(selected).map(r => `
+            <div class="archive-game">
+              <span class="archive-game-num">Game ${r.gameNumber}</span>
+              <span class="archive-game-scores">
+                ${r.live.completed ? `<b title="Played on the day">🏝️ ${r.live.score}</b>` : ''}
+                ${r.archive.completed ? `<b title="Archive play">🗓️ ${r.archive.score}</b>` : ''}
+              </span>
+              <button class="view-toggle" data-play="${r.gameNumber}">${r.archive.completed ? 'View' : 'Play'}</button>
+            </div>`).join('');
+      }
+
+      overlay.querySelector('.archive-body').innerHTML = `
+        <div class="cal-nav">
+          <button class="view-toggle" data-month="-1" ${prevOk ? '' : 'disabled'}>‹</button>
+          <span>${MONTHS[month - 1]} ${year}</span>
+          <button class="view-toggle" data-month="1" ${nextOk ? '' : 'disabled'}>›</button>
+        </div>
+        <div class="cal-grid">
+          ${['S', 'M', 'T', 'W', 'T', 'F', 'S'].map(d => `<span class="cal-dow">${d}</span>`).join('')}
+          ${cells}
+        </div>
+        <div class="archive-detail">${detail}</div>
+      `;
+
+      overlay.querySelectorAll('[data-month]').forEach(btn => btn.addEventListener('click', () => {
+        month += parseInt(btn.dataset.month);
+        if (month < 1) { month = 12; year--; }
+        if (month > 12) { month = 1; year++; }
+        render();
+      }));
+      overlay.querySelectorAll('.cal-day[data-date]').forEach(btn => btn.addEventListener('click', () => {
+        selected = btn.dataset.date;
+        render();
+      }));
+      overlay.querySelectorAll('[data-play]').forEach(btn => btn.addEventListener('click', () => {
+        overlay.remove();
+        selectedDraftIndex = -1;
+        Game.openArchive(contestantsDB, parseInt(btn.dataset.play), selected);
+      }));
+    };
+    render();
+  }
+
+  // ═══ CHALLENGES ═══
+
+  // Open a challenge, dropping a layout or pool this tree can't play
+  function startChallenge(challenge) {
+    const layout = Scoring.getLayouts().find(l => l.id === challenge.layout);
+    if (challenge.layout && !layout) {
+      console.warn(`Unknown challenge layout "${challenge.layout}", using your own`);
+      challenge = { ...challenge, layout: null };
+    }
+    const numSlots = (layout || Scoring.getLayout()).slots.length;
+    if (challenge.pool && !Challenge.poolIsPlayable(contestantsDB, challenge.pool, numSlots)) {
+      console.warn(`Challenge pool "${challenge.pool}" is too small for this board, using everyone`);
+      challenge = { ...challenge, pool: null };
+    }
+    selectedDraftIndex = -1;
+    Game.openChallenge(contestantsDB, challenge);
+  }
+
+  async function shareChallenge(state) {
+    const text = `Can you beat my ${state.score.total} pts on this Recouple draft? 🏝️\n${Game.getChallengeLink()}`;
+    const ok = await Game.shareText(text);
+    if (ok && $('#btn-challenge')) $('#btn-challenge').textContent = '✅ Link copied!';
+  }
+
+  // ═══ RESULT COMPARISON ═══
+
+  function edgeClass(types) {
+    return 'edge-' + (Scoring.edgeStyle(types) || 'none');
+  }
+
+  // Your code for a puzzle: the open game if it's that one, else its saved result
+  function ownResultCode(date, gameNumber) {
+    const state = Game.getState();
+    if (state.date === date && state.gameNumber === gameNumber && Game.getResultCode()) return Game.getResultCode();
+    for (const mode of ['daily', 'archive']) {
+      const result = Storage.getDailyProgress(date, mode)['game' + gameNumber];
+      if (result.completed && result.finalBoard) {
+        return ResultCode.encode({
+          date, gameNumber, layoutId: result.layoutId || 'diamond', profileId: result.profileId || 'classic',
+          score: result.score, board: result.finalBoard
+        });
+      }
+    }
+    return null;
+  }
+
+  // One player's verified board; cards the other player didn't draft are lit
+  function compareSideHTML(who, check, other, showStatus) {
+    if (!check.layout) {
+      return `<div class="compare-side"><div class="compare-who">${who}</div><div class="insp-conn insp-none">${check.problems[0]}</div></div>`;
+    }
+    const otherIds = new Set(other && other.layout ? other.board.filter(Boolean).map(c => c.id) : []);
+    const lit = new Set();
+    if (other && other.layout) check.board.forEach((c, i) => { if (c && !otherIds.has(c.id)) lit.add(i); });
+    const lines = new Map(check.edges.map(e => [edgeKey(e.a, e.b), edgeClass(e.types)]));
+    const name = (i) => check.board[i].name.split(' ')[0];
+    const status = !showStatus ? ''
+      : check.ok ? '<div class="compare-status compare-ok">✓ Verified</div>'
+      : `<div class="compare-status compare-bad">✗ ${check.problems.join(' · ')}</div>`;
+
+    return `
+      <div class="compare-side">
+        <div class="compare-who">${who}</div>
+        <div class="compare-score">${check.score.total} pts${check.profile.id !== 'classic' ? ` <small>${check.profile.name}</small>` : ''}</div>
+        ${status}
+        ${miniBoardHTML(check.layout, check.board, lit, lines)}
+        <div class="insp-section-label">Scoring edges</div>
+        ${check.edges.length ? check.edges.map(e => `
+          <div class="insp-conn">${connIcons(e.types, e.partner)} ${name(e.a)} – ${name(e.b)} <span>+${e.points}</span></div>`).join('')
+          : '<div class="insp-conn insp-none">No scoring edges</div>'}
+      </div>`;
+  }
+
+  function comparePicksHTML(yours, theirs) {
+    const rounds = Math.max(yours.picks.length, theirs.picks.length);
+    let diffs = 0;
+    const rows = Array.from({ length: rounds }, (_, r) => {
+      const mine = yours.picks[r], their = theirs.picks[r];
+      const same = mine && their && mine.id === their.id;
+      if (!same) diffs++;
+      return `
+        <div class="compare-pick${same ? '' : ' compare-diff'}">
+          <span>R${r + 1}</span><span>${mine ? mine.name : '—'}</span><span>${their ? their.name : '—'}</span>
+        </div>`;
+    }).join('');
+    return `
+      <div class="insp-section-label">Picks (${diffs ? `${diffs} of ${rounds} differ` : 'identical'})</div>
+      <div class="compare-pick compare-pick-head"><span></span><span>You</span><span>Friend</span></div>
+      ${rows}`;
+  }
+
+  function renderComparison(body, friend) {
+    const theirs = ResultCode.verify(friend, contestantsDB);
+    const mineCode = ownResultCode(friend.date, friend.gameNumber);
+    const yours = mineCode ? ResultCode.verify(ResultCode.decode(mineCode), contestantsDB) : null;
+    const title = `${friend.date === Storage.todayStr() ? 'Today' : shortDate(friend.date)} · Game ${friend.gameNumber}`;
+
+    if (!yours || !yours.layout) {
+      body.innerHTML = `
+        <div class="compare-title">${title}</div>
+        <div class="insp-conn insp-none">Finish this game to compare boards</div>
+        <div class="compare-grid">${compareSideHTML('Friend', theirs, null, true)}</div>`;
+      return;
+    }
+
+    const diff = theirs.layout ? yours.score.total - theirs.score.total : 0;
+    const verdict = !theirs.layout ? ''
+      : theirs.profile.id !== yours.profile.id ? 'Scored under different profiles'
+      : diff > 0 ? `You win by ${diff} 🎉` : diff < 0 ? `Friend wins by ${-diff}` : "It's a tie";
+    body.innerHTML = `
+      <div class="compare-title">${title}${verdict ? ` · ${verdict}` : ''}</div>
+      <div class="compare-grid">
+        ${compareSideHTML('You', yours, theirs, false)}
+        ${compareSideHTML('Friend', theirs, yours, true)}
+      </div>
+      ${theirs.layout ? comparePicksHTML(yours, theirs) : ''}`;
+  }
+
+  // Paste a friend's result code (or share text) to see both boards side by side
+  function showCompare(friendText = '') {
+    const mine = Game.getResultCode();
+    const overlay = document.createElement('div');
+    overlay.className = 'inspector-overlay';
+    overlay.innerHTML = `
+      <div class="inspector-card compare-card">
+        <div class="insp-header"><div class="insp-name">🆚 Compare Results</div></div>
+        ${mine ? `
+          <div class="insp-section-label">Your code</div>
+          <div class="compare-code-row">
+            <input id="compare-mine" class="compare-code" readonly value="${mine}">
+            <button id="compare-copy" class="view-toggle">📋 Copy</button>
+          </div>` : ''}
+        <div class="insp-section-label">Friend's code</div>
+        <textarea id="compare-input" class="compare-code compare-input" rows="2" placeholder="Paste a result code or shared result"></textarea>
+        <button id="compare-go" class="btn-primary">Compare</button>
+        <div class="compare-body"></div>
         <button class="insp-close">Close</button>
       </div>
     `;
@@ -535,30 +1408,256 @@ const UI = (() => {
     overlay.addEventListener('click', (e) => {
       if (e.target === overlay || e.target.classList.contains('insp-close')) overlay.remove();
     });
+
+    const input = overlay.querySelector('#compare-input');
+    const body = overlay.querySelector('.compare-body');
+    const compare = () => {
+      const friend = ResultCode.decode(input.value);
+      if (!friend) {
+        body.innerHTML = `<div class="insp-conn insp-none">That doesn't look like a Recouple result code</div>`;
+        return;
+      }
+      renderComparison(body, friend);
+    };
+    overlay.querySelector('#compare-go').addEventListener('click', compare);
+    overlay.querySelector('#compare-copy')?.addEventListener('click', async () => {
+      const ok = await Game.shareText(mine);
+      if (ok) overlay.querySelector('#compare-copy').textContent = '✅ Copied';
+    });
+
+    input.value = friendText;
+    if (friendText) compare();
+  }
+
+  // ═══ SETTINGS OVERLAY ═══
+
+  function showSettings() {
+    const current = Storage.getSettings();
+    const numSlots = (Scoring.getLayouts().find(l => l.id === current.layout) || Scoring.getLayout()).slots.length;
+    const poolOptions = Object.keys(Scoring.TAG_INFO)
+      .filter(tag => Challenge.poolIsPlayable(contestantsDB, tag, numSlots))
+      .map(tag => `<option value="${tag}">${tagName(tag)} only</option>`).join('');
+    const layoutButtons = Scoring.getLayouts().map(l => `
+      <button class="layout-option ${l.id === current.layout ? 'layout-active' : ''}" data-layout="${l.id}">
+        <span class="layout-name">${l.name}</span>
+        <span class="layout-meta">${l.slots.length} slots · ${l.edges.length} links</span>
+      </button>`).join('');
+    const profileButtons = Scoring.getProfiles().map(p => `
+      <button class="layout-option ${p.id === current.profile ? 'layout-active' : ''}" data-profile="${p.id}">
+        <span class="layout-name">${p.name}</span>
+        <span class="layout-meta">${p.description}</span>
+      </button>`).join('');
+
+    const overlay = document.createElement('div');
+    overlay.className = 'inspector-overlay';
+    overlay.innerHTML = `
+      <div class="inspector-card settings-card">
+        <div class="insp-header"><div class="insp-name">⚙️ Settings</div></div>
+        <div class="insp-section-label">Board Layout</div>
+        <div class="layout-options">${layoutButtons}</div>
+        <div class="settings-note">A new layout applies from the next game you start.</div>
+        <div class="insp-section-label">Scoring</div>
+        <div class="layout-options">${profileButtons}</div>
+        <div class="settings-note">Scoring is kept per game: a new profile applies from the next game you start.</div>
+        <div class="insp-section-label">Create a Challenge</div>
+        <div class="challenge-form">
+          <label>Seed
+            <input id="challenge-seed" type="number" min="0" max="4294967295" value="${Challenge.randomSeed()}">
+            <button id="challenge-reroll" class="view-toggle" title="Random seed">🎲</button>
+          </label>
+          <label>Contestants
+            <select id="challenge-pool">
+              <option value="">Everyone</option>
+              ${poolOptions}
+            </select>
+          </label>
+        </div>
+        <div class="completion-buttons">
+          <button id="challenge-play" class="btn-primary">Play</button>
+          <button id="challenge-copy" class="btn-secondary">🔗 Copy Link</button>
+        </div>
+        <div class="settings-note">Challenges use the layout and scoring above, and today's slot rules.</div>
+        <div class="insp-section-label">Backup</div>
+        <div class="completion-buttons">
+          <button id="backup-export" class="btn-secondary">⬇️ Export</button>
+          <button id="backup-import" class="btn-secondary">⬆️ Import</button>
+        </div>
+        <input id="backup-file" type="file" accept="application/json,.json" hidden>
+        <div id="backup-status" class="settings-note">Moves your results, streaks and history to another device.</div>
+        <button class="insp-close">Close</button>
+      </div>
+    `;
+    document.body.appendChild(overlay);
+    overlay.addEventListener('click', (e) => {
+      const btn = e.target.closest('.layout-option');
+      if (btn) {
+        if (btn.dataset.profile) chooseProfile(btn.dataset.profile);
+        else chooseLayout(btn.dataset.layout);
+        overlay.remove();
+        return;
+      }
+      if (e.target === overlay || e.target.classList.contains('insp-close')) overlay.remove();
+    });
+
+    const readChallenge = () => {
+      const seed = Number(overlay.querySelector('#challenge-seed').value);
+      if (!Challenge.isSeed(seed)) return null;
+      return {
+        seed, layout: Storage.getSettings().layout, profile: Storage.getSettings().profile,
+        pool: overlay.querySelector('#challenge-pool').value || null,
+        rules: Storage.todayStr()
+      };
+    };
+    overlay.querySelector('#challenge-reroll').addEventListener('click', () => {
+      overlay.querySelector('#challenge-seed').value = Challenge.randomSeed();
+    });
+    overlay.querySelector('#challenge-play').addEventListener('click', () => {
+      const challenge = readChallenge();
+      if (!challenge) return;
+      overlay.remove();
+      startChallenge(challenge);
+    });
+    overlay.querySelector('#challenge-copy').addEventListener('click', async () => {
+      const challenge = readChallenge();
+      if (!challenge) return;
+      await Game.shareText(Challenge.build(challenge, location.origin + location.pathname));
+      overlay.querySelector('#challenge-copy').textContent = '✅ Copied!';
+    });
+
+    const status = overlay.querySelector('#backup-status');
+    overlay.querySelector('#backup-export').addEventListener('click', exportBackup);
+    overlay.querySelector('#backup-import').addEventListener('click', () => overlay.querySelector('#backup-file').click());
+    overlay.querySelector('#backup-file').addEventListener('change', async (e) => {
+      const file = e.target.files[0];
+      if (!file) return;
+      status.textContent = await importBackup(file);
+    });
+  }
+
+  // ═══ BACKUP ═══
+
+  // Saved data that failed validation at startup
+  function showQuarantined(entries) {
+    const overlay = document.createElement('div');
+    overlay.className = 'inspector-overlay';
+    overlay.innerHTML = `
+      <div class="inspector-card">
+        <div class="insp-header"><div class="insp-name">⚠️ Saved Data Set Aside</div></div>
+        <div class="settings-note">Some saved data couldn't be read, so it was moved out of the way:</div>
+        ${entries.map(e => `<div class="insp-conn">${e.key} <span>${e.reason}</span></div>`).join('')}
+        <div class="settings-note">Everything else is safe. A copy is kept in this browser under recouple_quarantine.</div>
+        <button class="insp-close">OK</button>
+      </div>
+    `;
+    document.body.appendChild(overlay);
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay || e.target.classList.contains('insp-close')) overlay.remove();
+    });
+  }
+
+  async function exportBackup() {
+    const backup = Storage.exportData();
+    backup.history = await HistoryDB.getAllGames();
+    const blob = new Blob([JSON.stringify(backup)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `recouple-backup-${Storage.todayStr()}.json`;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  // Merge a backup file in and reload onto the merged data; resolves to a status line
+  async function importBackup(file) {
+    let backup;
+    try {
+      backup = JSON.parse(await file.text());
+    } catch(e) {
+      return "❌ That file isn't valid JSON";
+    }
+    let result;
+    try {
+      result = Storage.importData(backup);
+    } catch(e) {
+      return `❌ ${e.message}`;
+    }
+    const games = await HistoryDB.importGames(backup.history);
+    setTimeout(() => location.reload(), 1500);
+    const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+    return `✅ Imported ${plural(result.days, 'day')} of results and ${plural(games, 'history game')}. Reloading…`;
+  }
+
+  function chooseLayout(layoutId) {
+    Storage.saveSettings({ ...Storage.getSettings(), layout: layoutId });
+    // Nothing placed yet, so switching the current game loses no progress
+    const state = Game.getState();
+    // (a challenge's layout is part of the challenge)
+    if (state.phase === 'drafting' && state.round === 0 && state.layoutId !== layoutId && state.mode !== 'challenge') {
+      Game.initGame(contestantsDB, state.gameNumber, state.date, layoutId,
+        { mode: state.mode, seed: state.seed, pool: state.pool, rulesDate: state.rulesDate });
+      selectedDraftIndex = -1;
+    }
+  }
+
+  function chooseProfile(profileId) {
+    Storage.saveSettings({ ...Storage.getSettings(), profile: profileId });
+    // Same as a layout change: only a draft with nothing placed switches now
+    const state = Game.getState();
+    if (state.phase === 'drafting' && state.round === 0 && state.profileId !== profileId && state.mode !== 'challenge') {
+      Game.initGame(contestantsDB, state.gameNumber, state.date, state.layoutId,
+        { mode: state.mode, seed: state.seed, pool: state.pool, rulesDate: state.rulesDate, profileId });
+      selectedDraftIndex = -1;
+    }
   }
 
   // ═══ HELP OVERLAY ═══
 
   function showHelp() {
-    const rotSlot = Scoring.getRotatingSlot();
+    const n = Scoring.NUM_SLOTS;
+    const slotLabels = Scoring.getSlotLabels();
+    const uniqueText = (labels) => [...new Map(labels.map(sl => [sl.tag, `${sl.emoji} ${sl.label}`])).values()];
+    const fixedText = uniqueText(slotLabels.filter(sl => sl.tag && !sl.rotating)).join(', ');
+    const dailyText = uniqueText(Scoring.getRotatingSlots()).join(' and ');
+
+    // Power positions = the best-connected slots on this layout
+    const degrees = Scoring.ADJACENCY.map(adj => adj.length);
+    const maxDeg = Math.max(...degrees);
+    const power = slotLabels.filter((sl, i) => degrees[i] === maxDeg);
+    const powerText = power.map(sl => sl.emoji).join(' and ');
+
+    // Every number below comes from the game's scoring profile
+    const profile = Scoring.getProfile();
+    // One line per connection rule in force, one per partner type for couples
+    const ruleItems = Scoring.getConnectionRules().flatMap(rule => rule.variants
+      ? Object.entries(rule.variants).map(([type, v]) => `<li>${v.emoji} ${v.label}: +${Scoring.partnerPoints(type)} each</li>`)
+      : [`<li>${rule.icon} ${rule.help}: +${rule.points()} each</li>`]).join('');
+    const starText = [1, 2, 3, 4].map(s => `${'★'.repeat(s)}=${s > 1 ? '+' : ''}${Scoring.rarityPoints(s)}`).join(', ');
+    const extras = [
+      profile.perfectBonus ? `🎉 A perfect board (every slot filled validly) earns +${profile.perfectBonus}.` : '',
+      profile.invalidPenalty ? `❌ A card in a slot it doesn't match costs ${profile.invalidPenalty}pt${profile.invalidPenalty === 1 ? '' : 's'}.` : ''
+    ].filter(Boolean).join(' ');
     const overlay = document.createElement('div');
     overlay.className = 'inspector-overlay';
     overlay.innerHTML = `
       <div class="inspector-card help-card">
-        <div class="insp-header"><div class="insp-name">How to Play</div></div>
+        <div class="insp-header">
+          <div class="insp-name">How to Play</div>
+          <div class="insp-season">${profile.name} scoring</div>
+        </div>
         <div class="help-content">
-          <p><strong>Draft</strong> 9 Love Island contestants over 9 rounds (pick 1 of 3).</p>
-          <p><strong>Place</strong> them on the board — 🇺🇸 USA, 🇬🇧 UK, 💣 Bombshell, and 🏠 Casa slots give +2pts if matched. 🃏 Wild slots accept anyone but give 0 slot pts.</p>
+          <p><strong>Draft</strong> ${n} Love Island contestants over ${n} rounds (pick 1 of 3).</p>
+          <p><strong>Place</strong> them on the board — ${fixedText}${dailyText ? ' and today\'s daily slots' : ''} give +${profile.slotMatch}pts if matched. 🃏 Wild slots accept anyone but give 0 slot pts.</p>
           <p><strong>Connect</strong> for bonus points! Cards linked by lines score:</p>
           <ul>
-            <li>🌍 Same country: +2 each</li>
-            <li>🗓 Same season: +1 each</li>
-            <li>🔥 Country + Season: +5 each</li>
-            <li>💕 Real couple: +4 each</li>
+            ${ruleItems}
           </ul>
-          <p><strong>Stars</strong> add bonus: ★=0, ★★=+1, ★★★=+2, ★★★★=+3</p>
-          <p>🇺🇸 and 🇬🇧 are power positions with 5 connections each!</p>
-          <p class="help-rotate">Your % shows how close you are to the best possible arrangement!</p>
+          <p><strong>Stars</strong> add bonus: ${starText}</p>
+          ${extras ? `<p>${extras}</p>` : ''}
+          <p>${powerText} ${power.length > 1 ? 'are power positions' : 'is the power position'} with ${maxDeg} connections each!</p>
+          ${dailyText ? `<p class="help-rotate">Today's daily slots: ${dailyText}</p>` : ''}
+          <p>Your % shows how close you are to the best possible arrangement!</p>
         </div>
         <button class="insp-close">Got It</button>
       </div>
@@ -612,16 +1711,61 @@ const UI = (() => {
 
   // ═══ GAME FLOW ═══
 
+  // Next unfinished daily game, or practice once today's three are done
   function startNextGame() {
     const today = Storage.todayStr();
-    const nextGame = Storage.getNextGameNumber(today);
-    Game.initGame(contestantsDB, nextGame, today);
     selectedDraftIndex = -1;
+    const state = Game.getState();
+    if (state.mode === 'practice') {
+      Game.startPractice(contestantsDB);
+      return;
+    }
+    if (state.mode === 'archive') {
+      const next = Storage.getNextGameNumber(state.date, 'archive');
+      if (next) Game.openArchive(contestantsDB, next, state.date);
+      else showArchive(state.date);
+      return;
+    }
+    const nextGame = Storage.getNextGameNumber(today);
+    if (nextGame) Game.openGame(contestantsDB, nextGame, today);
+    else Game.openPractice(contestantsDB);
+  }
+
+  // ═══ DAY ROLLOVER ═══
+  // Puzzles roll over at local midnight. A finished or untouched daily game
+  // moves on to the new day by itself; a draft in progress is left alone.
+
+  let currentDay = null;
+
+  function countdownText() {
+    const mins = Math.ceil(Storage.msUntilNextDay() / 60000);
+    return `${String(Math.floor(mins / 60)).padStart(2, '0')}:${String(mins % 60).padStart(2, '0')}`;
+  }
+
+  function checkRollover() {
+    const today = Storage.todayStr();
+    if (today !== currentDay) {
+      currentDay = today;
+      const state = Game.getState();
+      if (state.mode === 'daily' && state.date !== today &&
+          (state.phase === 'completed' || (state.phase === 'drafting' && state.round === 0))) {
+        selectedDraftIndex = -1;
+        Game.openGame(contestantsDB, Storage.getNextGameNumber(today) || 1, today);
+      } else if (state.phase !== 'idle') {
+        renderHeader(state);
+      }
+    }
+    $$('.countdown').forEach(el => { el.textContent = countdownText(); });
   }
 
   // ═══ MAIN RENDER LOOP ═══
 
   function onStateUpdate(state) {
+    // A state change always shows the live board again
+    stopReplay();
+    viewBoard = null;
+    missedEdges = null;
+
     renderHeader(state);
     renderBoard(state);
     renderDraft(state);
@@ -640,35 +1784,85 @@ const UI = (() => {
       return;
     }
 
+    // Same checks as tools/validate-contestants.js; play on without entries that can't work
+    const dataCheck = Contestants.validate(contestantsDB);
+    for (const e of dataCheck.errors) console.error(`Contestant data #${e.index} ${e.id || ''}: ${e.message}`);
+    for (const w of dataCheck.warnings) console.warn(`Contestant data #${w.index} ${w.id || ''}: ${w.message}`);
+    contestantsDB = Contestants.usable(contestantsDB, dataCheck);
+
+    // Load board layouts (the built-in diamond still works without them)
+    try {
+      const resp = await fetch('data/layouts.json');
+      Scoring.registerLayouts(await resp.json());
+    } catch(e) {
+      console.warn('Failed to load layouts, using default board:', e);
+    }
+
+    // Bring saved data up to the current schema; anything unusable is set aside
+    const migration = Storage.migrate();
+    if (migration.quarantined.length) showQuarantined(migration.quarantined);
+    Storage.setOnQuarantine(showQuarantined);
+
     // Wire up Game state updates
     Game.setOnStateChange(onStateUpdate);
 
     // Wire up header buttons
     $('#btn-stats')?.addEventListener('click', showStats);
     $('#btn-help')?.addEventListener('click', showHelp);
+    $('#btn-settings')?.addEventListener('click', showSettings);
+    $('#btn-undo')?.addEventListener('click', undoMove);
+    $('#btn-redo')?.addEventListener('click', redoMove);
+    document.addEventListener('keydown', handleKeydown);
+    document.addEventListener('pointermove', onPointerMove, { passive: false });
+    document.addEventListener('pointerup', onPointerUp);
+    document.addEventListener('pointercancel', endDrag);
     $('#btn-hints')?.addEventListener('click', () => {
       helpMode = !helpMode;
       $('#btn-hints')?.classList.toggle('active', helpMode);
       const state = Game.getState();
       renderBoard(state);
+      if (state.phase === 'drafting') {
+        renderDraft(state);
+        renderScorePanel(state);
+      }
     });
 
     // Wire up game tabs
     for (let g = 1; g <= 3; g++) {
       $(`#tab-game-${g}`)?.addEventListener('click', () => {
-        Game.initGame(contestantsDB, g, Storage.todayStr());
         selectedDraftIndex = -1;
+        Game.openGame(contestantsDB, g, Storage.todayStr());
       });
     }
+    $('#tab-practice')?.addEventListener('click', () => {
+      selectedDraftIndex = -1;
+      Game.openPractice(contestantsDB);
+    });
+    $('#tab-archive')?.addEventListener('click', () => showArchive());
 
     // Try to resume or start new
     const today = Storage.todayStr();
     Scoring.setDailySlots(today);
 
-    if (!Game.tryResume()) {
+    // A challenge link opens that exact draft; the query is dropped so a
+    // reload resumes whatever is being played instead
+    const challenge = Challenge.parse(location.search);
+    const sharedResult = new URLSearchParams(location.search).get('result');
+    if (challenge || sharedResult) history.replaceState(null, '', location.pathname);
+
+    if (challenge) {
+      startChallenge(challenge);
+    } else if (!Game.tryResume()) {
       const nextGame = Storage.getNextGameNumber(today);
-      Game.initGame(contestantsDB, nextGame, today);
+      Game.openGame(contestantsDB, nextGame || 1, today);
     }
+    if (sharedResult) showCompare(sharedResult);
+
+    currentDay = today;
+    setInterval(checkRollover, 15000);
+    document.addEventListener('visibilitychange', () => {
+      if (!document.hidden) checkRollover();
+    });
   }
 
   return { init };
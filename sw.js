@@ -1,14 +1,24 @@
-const CACHE_NAME = 'recouple-v1771077600';
+const CACHE_NAME = 'recouple-v1792368000';
 const ASSETS = [
   '/',
   '/index.html',
   '/css/styles.css',
   '/js/scoring.js',
+  '/js/contestants.js',
   '/js/draft.js',
+  '/js/schema.js',
   '/js/storage.js',
+  '/js/history.js',
+  '/js/stats.js',
+  '/js/charts.js',
+  '/js/challenge.js',
+  '/js/resultcode.js',
   '/js/game.js',
+  '/js/lookahead.js',
+  '/js/sharecard.js',
   '/js/ui.js',
   '/data/contestants.json',
+  '/data/layouts.json',
   '/manifest.json'
 ];
 
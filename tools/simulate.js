@@ -0,0 +1,261 @@
+#!/usr/bin/env node
+/**
+ * RECOUPLE v2 — Draft Simulator
+ * ==============================
+ * Plays many seeded drafts headlessly with the real scoring and draft
+ * modules, to tune scoring constants and rarity tables against numbers
+ * instead of guesses.
+ *
+ *   node tools/simulate.js [--games 1000] [--seed 1] [--strategy random,greedy,optimal]
+ *                          [--layout diamond] [--profile classic] [--date YYYY-MM-DD]
+ *                          [--nodes 150000] [--json]
+ *
+ * Game i drafts from seed + i. Its daily slot tags come from --date, or by
+ * default from a date that advances a day per game so every rotation of
+ * the schedule is covered. Those dates start where the newest connection
+ * rules do, so a run never mixes two rule sets. Strategies:
+ *   random   random pick, random empty cell, no swaps
+ *   greedy   the pick and cell that score most right now, no swaps
+ *   optimal  the best board the whole draft allows
+ *
+ * "% of best" compares each board with the best score any pick path could
+ * reach, the same branch-and-bound search as the draft lookahead. It runs
+ * for every game whatever the strategies, so it sets the pace; --nodes
+ * trades its accuracy for speed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+global.Scoring = require('../js/scoring.js');
+global.Draft = require('../js/draft.js');
+
+const ROOT = path.join(__dirname, '..');
+
+// ═══ STRATEGIES ═══
+// Each plays one draft: rounds = [[3 options] per slot] → final board
+
+const STRATEGIES = {
+  random(rounds, { rng }) {
+    const board = new Array(rounds.length).fill(null);
+    for (const options of rounds) {
+      const pick = options[Math.floor(rng() * options.length)];
+      const empty = board.map((c, i) => c ? -1 : i).filter(i => i >= 0);
+      board[empty[Math.floor(rng() * empty.length)]] = pick;
+    }
+    return board;
+  },
+
+  greedy(rounds) {
+    const board = new Array(rounds.length).fill(null);
+    for (const options of rounds) {
+      let best = null;
+      for (const pick of options) {
+        for (let i = 0; i < board.length; i++) {
+          if (board[i]) continue;
+          board[i] = pick;
+          const total = Scoring.calculateScore(board).total;
+          board[i] = null;
+          if (!best || total > best.total) best = { pick, cell: i, total };
+        }
+      }
+      board[best.cell] = best.pick;
+    }
+    return board;
+  },
+
+  optimal(rounds, { best }) {
+    return best;
+  }
+};
+
+// ═══ ARGUMENTS ═══
+
+function parseArgs(argv) {
+  const opts = {
+    games: 1000, seed: 1, strategies: Object.keys(STRATEGIES),
+    layout: 'diamond', profile: 'classic', date: null, nodes: 150000, json: false
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => {
+      if (i + 1 >= argv.length) fail(`${arg} needs a value`);
+      return argv[++i];
+    };
+    if (arg === '--games') opts.games = parseInt(next(), 10);
+    else if (arg === '--seed') opts.seed = parseInt(next(), 10);
+    else if (arg === '--strategy') opts.strategies = next().split(',');
+    else if (arg === '--layout') opts.layout = next();
+    else if (arg === '--profile') opts.profile = next();
+    else if (arg === '--date') opts.date = next();
+    else if (arg === '--nodes') opts.nodes = parseInt(next(), 10);
+    else if (arg === '--json') opts.json = true;
+    else if (arg === '--help' || arg === '-h') { usage(); process.exit(0); }
+    else fail(`Unknown option ${arg}`);
+  }
+  if (!(opts.games > 0)) fail('--games must be a positive number');
+  if (!Number.isInteger(opts.seed)) fail('--seed must be an integer');
+  if (!(opts.nodes > 0)) fail('--nodes must be a positive number');
+  if (opts.date && !/^\d{4}-\d{2}-\d{2}$/.test(opts.date)) fail('--date must be YYYY-MM-DD');
+  const unknown = opts.strategies.filter(s => !STRATEGIES[s]);
+  if (unknown.length) fail(`Unknown strategy ${unknown.join(', ')} (have ${Object.keys(STRATEGIES).join(', ')})`);
+  return opts;
+}
+
+function usage() {
+  console.log('Usage: node tools/simulate.js [--games N] [--seed N] [--strategy random,greedy,optimal]');
+  console.log('                              [--layout ID] [--profile ID] [--date YYYY-MM-DD] [--nodes N] [--json]');
+}
+
+function fail(message) {
+  console.error(message);
+  usage();
+  process.exit(1);
+}
+
+// ═══ SIMULATION ═══
+
+// First day of the newest connection rules: the last date any rule starts or ends
+const NEWEST_RULES = Scoring.CONNECTION_RULES.flatMap(rule => [rule.from, rule.until])
+  .reduce((latest, date) => date && date > latest ? date : latest, Draft.FIRST_DAY);
+
+// Rules date for game i: fixed, or one day per game from NEWEST_RULES
+function rulesDate(opts, i) {
+  if (opts.date) return opts.date;
+  const [y, m, d] = NEWEST_RULES.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d + i)).toISOString().slice(0, 10);
+}
+
+function summarize(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const n = sorted.length;
+  const mean = sorted.reduce((s, v) => s + v, 0) / n;
+  const variance = sorted.reduce((s, v) => s + (v - mean) ** 2, 0) / n;
+  const median = n % 2 ? sorted[(n - 1) / 2] : (sorted[n / 2 - 1] + sorted[n / 2]) / 2;
+  return {
+    mean: round1(mean), median, stdev: round1(Math.sqrt(variance)),
+    min: sorted[0], max: sorted[n - 1],
+    p10: sorted[Math.floor(n * 0.1)], p90: sorted[Math.min(n - 1, Math.floor(n * 0.9))]
+  };
+}
+
+function histogram(values, width = 5) {
+  const bins = new Map();
+  for (const v of values) {
+    const start = Math.floor(v / width) * width;
+    bins.set(start, (bins.get(start) || 0) + 1);
+  }
+  return [...bins].sort((a, b) => a[0] - b[0]).map(([start, count]) => ({ from: start, to: start + width - 1, count }));
+}
+
+function round1(n) { return Math.round(n * 10) / 10; }
+
+function simulate(contestants, opts) {
+  const numSlots = Scoring.NUM_SLOTS;
+  const rarity = Array.from({ length: numSlots }, () => [0, 0, 0, 0]);
+  const results = {};
+  for (const name of opts.strategies) {
+    results[name] = { scores: [], percentages: [], perfect: 0 };
+  }
+  let unproven = 0;
+
+  for (let i = 0; i < opts.games; i++) {
+    const seed = opts.seed + i;
+    Scoring.setDailySlots(rulesDate(opts, i));
+    const rounds = Draft.generateRounds(contestants, seed, numSlots);
+    rounds.forEach((options, r) => options.forEach(c => rarity[r][c.stars - 1]++));
+
+    // The best board over every pick path. A budget-limited search may leave
+    // its own cards short of their best arrangement.
+    const reach = Scoring.calculateBestReachable(rounds, opts.nodes);
+    if (!reach.exact) unproven++;
+    const best = Scoring.calculateOptimal(reach.board, 0).board || reach.board;
+    const bestScore = Scoring.calculateScore(best).total;
+
+    for (const name of opts.strategies) {
+      const res = results[name];
+      const board = STRATEGIES[name](rounds, { rng: Draft.mulberry32(seed ^ 0x5EED), best });
+      const score = Scoring.calculateScore(board);
+      // An unproven search can fall short of a strategy's own board
+      const ceiling = Math.max(bestScore, score.total);
+      res.scores.push(score.total);
+      res.percentages.push(ceiling > 0 ? Math.round(score.total / ceiling * 100) : 100);
+      if (score.allValid) res.perfect++;
+    }
+  }
+
+  const strategies = {};
+  for (const [name, res] of Object.entries(results)) {
+    strategies[name] = {
+      score: summarize(res.scores),
+      histogram: histogram(res.scores),
+      averagePercentOfBest: round1(res.percentages.reduce((s, p) => s + p, 0) / res.percentages.length),
+      perfectBoardRate: round1(res.perfect / opts.games * 100)
+    };
+  }
+
+  const rarityByRound = rarity.map((counts, r) => {
+    const total = counts.reduce((s, c) => s + c, 0);
+    return {
+      round: r + 1,
+      tableRow: Draft.rarityRow(r, numSlots) + 1,
+      expected: Draft.RARITY_TABLE[Draft.rarityRow(r, numSlots)].map(p => round1(p * 100)),
+      observed: counts.map(c => round1(c / total * 100))
+    };
+  });
+
+  return {
+    games: opts.games, seed: opts.seed, layout: Scoring.getLayout().id, profile: Scoring.getProfile().id,
+    date: opts.date || `rotating from ${NEWEST_RULES}`,
+    connectionRules: Scoring.getConnectionRules().map(rule => rule.id),
+    unproven, strategies, rarityByRound
+  };
+}
+
+// ═══ REPORT ═══
+
+function printReport(report) {
+  const out = [];
+  out.push(`Recouple simulation: ${report.games} games from seed ${report.seed} on ${report.layout}, ${report.profile} scoring, rules ${report.date}`);
+  out.push(`Connection rules: ${report.connectionRules.join(', ')}`);
+  if (report.unproven) out.push(`Best score unproven in ${report.unproven} games (search hit the node budget)`);
+
+  for (const [name, s] of Object.entries(report.strategies)) {
+    const sc = s.score;
+    out.push('', `── ${name} ──`);
+    out.push(`  score      mean ${sc.mean} · median ${sc.median} · stdev ${sc.stdev} · min ${sc.min} · max ${sc.max} · p10 ${sc.p10} · p90 ${sc.p90}`);
+    out.push(`  of best    ${s.averagePercentOfBest}% of the best reachable score on average`);
+    out.push(`  perfect    ${s.perfectBoardRate}% of boards fill every slot validly`);
+    const peak = Math.max(...s.histogram.map(b => b.count));
+    for (const b of s.histogram) {
+      const bar = '█'.repeat(Math.max(1, Math.round(b.count / peak * 40)));
+      out.push(`  ${String(b.from).padStart(3)}-${String(b.to).padEnd(3)} ${bar} ${b.count}`);
+    }
+  }
+
+  out.push('', '── star rarity per round (observed % vs RARITY_TABLE %) ──');
+  out.push('  round  row      ★            ★★           ★★★          ★★★★');
+  for (const r of report.rarityByRound) {
+    const cells = r.observed.map((o, i) => `${o.toFixed(1).padStart(5)} / ${r.expected[i].toFixed(1).padStart(4)}`);
+    out.push(`  ${String(r.round).padStart(5)}  ${String(r.tableRow).padStart(3)}  ${cells.join('  ')}`);
+  }
+  console.log(out.join('\n'));
+}
+
+// ═══ MAIN ═══
+
+function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  const contestants = JSON.parse(fs.readFileSync(path.join(ROOT, 'data/contestants.json'), 'utf8'));
+  Scoring.registerLayouts(JSON.parse(fs.readFileSync(path.join(ROOT, 'data/layouts.json'), 'utf8')));
+  if (!Scoring.getLayouts().some(l => l.id === opts.layout)) fail(`Unknown layout ${opts.layout}`);
+  Scoring.setLayout(opts.layout);
+  if (!Scoring.getProfiles().some(p => p.id === opts.profile)) fail(`Unknown profile ${opts.profile}`);
+  Scoring.setProfile(opts.profile);
+
+  const report = simulate(contestants, opts);
+  if (opts.json) console.log(JSON.stringify(report, null, 2));
+  else printReport(report);
+}
+
+main();
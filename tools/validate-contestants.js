@@ -0,0 +1,43 @@
+#!/usr/bin/env node
+/**
+ * RECOUPLE v2 — Contestant Data Validator
+ * ========================================
+ * Checks data/contestants.json (or the file given) with the same rules the
+ * game runs at startup; see js/contestants.js.
+ *
+ *   node tools/validate-contestants.js [path/to/contestants.json] [--strict]
+ *
+ * Exits 1 on any error, or with --strict on any warning too.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+global.Scoring = require('../js/scoring.js');
+const Contestants = require('../js/contestants.js');
+
+function main() {
+  const args = process.argv.slice(2);
+  const strict = args.includes('--strict');
+  const file = args.find(a => !a.startsWith('--')) || path.join(__dirname, '..', 'data/contestants.json');
+
+  let list;
+  try {
+    list = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch(e) {
+    console.error(`Can't read ${file}: ${e.message}`);
+    process.exit(1);
+  }
+
+  const { errors, warnings } = Contestants.validate(list);
+  const where = (p) => p.index < 0 ? 'file' : `#${p.index}${p.id ? ` ${p.id}` : ''}`;
+  const byIndex = (a, b) => a.index - b.index;
+  for (const e of [...errors].sort(byIndex)) console.log(`error    ${where(e)}: ${e.message}`);
+  for (const w of [...warnings].sort(byIndex)) console.log(`warning  ${where(w)}: ${w.message}`);
+
+  const count = Array.isArray(list) ? list.length : 0;
+  console.log(`${count} contestants · ${errors.length} error${errors.length === 1 ? '' : 's'} · ${warnings.length} warning${warnings.length === 1 ? '' : 's'}`);
+  if (errors.length || (strict && warnings.length)) process.exit(1);
+}
+
+main();